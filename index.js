@@ -1,13 +1,58 @@
-module.exports = {
+const { name, version } = require('./package.json');
+
+const plugin = {
+  meta: {
+    name,
+    version,
+  },
   rules: {
+    'promise-constructor-async-executor': require('./rules/promise-constructor-async-executor'),
     'promise-constructor-callbacks': require('./rules/promise-constructor-callbacks'),
+    'promise-constructor-error-first-callbacks': require('./rules/promise-constructor-error-first-callbacks'),
+    'promise-constructor-exactly-one-callback': require('./rules/promise-constructor-exactly-one-callback'),
+    'promise-constructor-no-code-after-settle': require('./rules/promise-constructor-no-code-after-settle'),
+    'promise-constructor-no-explicit-construction': require('./rules/promise-constructor-no-explicit-construction'),
+    'promise-constructor-parameters': require('./rules/promise-constructor-parameters'),
+  },
+  configs: {},
+};
+
+const presets = {
+  recommended: {
+    'promise-rules/promise-constructor-callbacks': 'error',
   },
-  configs: {
-    recommended: {
-      plugins: ['promise-rules'],
-      rules: {
-        'promise-rules/promise-constructor-callbacks': 'error',
-      },
-    },
+  // `promise-constructor-exactly-one-callback` reports everything
+  // `promise-constructor-callbacks` does, so the two are never enabled
+  // together
+  strict: {
+    'promise-rules/promise-constructor-exactly-one-callback': 'error',
+    'promise-rules/promise-constructor-async-executor': 'error',
+    'promise-rules/promise-constructor-error-first-callbacks': 'error',
+    'promise-rules/promise-constructor-no-code-after-settle': 'error',
   },
+  all: Object.fromEntries(
+    Object.keys(plugin.rules)
+      .filter(ruleName => ruleName !== 'promise-constructor-callbacks')
+      .map(ruleName => [`promise-rules/${ruleName}`, 'error'])
+  ),
 };
+
+// `promise-constructor-parameters` already reports the executor parameters
+presets.all['promise-rules/promise-constructor-exactly-one-callback'] = ['error', { checkParameters: false }];
+
+for (const [presetName, rules] of Object.entries(presets)) {
+  // Legacy eslintrc presets: `extends: ['plugin:promise-rules/recommended']`
+  plugin.configs[presetName] = {
+    plugins: ['promise-rules'],
+    rules,
+  };
+
+  // Flat config presets: `promiseRules.configs['flat/recommended']`
+  plugin.configs[`flat/${presetName}`] = {
+    name: `promise-rules/${presetName}`,
+    plugins: { 'promise-rules': plugin },
+    rules,
+  };
+}
+
+module.exports = plugin;
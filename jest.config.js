@@ -1,6 +1,7 @@
 module.exports = {
   testEnvironment: 'node',
   collectCoverageFrom: [
+    'lib/**/*.js',
     'rules/**/*.js',
     'index.js'
   ],
@@ -0,0 +1,42 @@
+/**
+ * Small questions about where a node sits in the tree, shared by the rules
+ * and the analyses.
+ */
+
+const { isFunction } = require('./code-path-recorder');
+
+/**
+ * @param {ASTNode} node Any node.
+ * @param {ASTNode} root Any node.
+ * @returns {boolean} Whether `node` lies within the source range of `root`.
+ */
+function isInside(node, root) {
+  return node.range[0] >= root.range[0] && node.range[1] <= root.range[1];
+}
+
+/**
+ * @param {ASTNode} node Any node but the Program.
+ * @returns {boolean} Whether the node is passed to a call as an argument.
+ */
+function isCallArgument(node) {
+  return node.parent.type === 'CallExpression' && node.parent.arguments.includes(node);
+}
+
+/**
+ * @param {ASTNode} node Any node.
+ * @returns {ASTNode|null} The innermost function around the node, null at
+ *   the top level.
+ */
+function getEnclosingFunction(node) {
+  let current = node.parent;
+  while (current && !isFunction(current)) {
+    current = current.parent;
+  }
+  return current || null;
+}
+
+module.exports = {
+  isInside,
+  isCallArgument,
+  getEnclosingFunction,
+};
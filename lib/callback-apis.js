@@ -0,0 +1,148 @@
+/**
+ * How often known APIs invoke the callbacks passed to them. Each entry maps
+ * a function or method (matched like `guaranteedHandoffs`: a plain name
+ * matches the called function or method, a dotted name the whole callee) to
+ * its callback positions, an argument index or `last`, and how often the
+ * callback at that position runs:
+ *
+ * - `once`: exactly once (`setTimeout`).
+ * - `error-first`: exactly once, with an error or `null` first
+ *   (`fs.readFile`).
+ * - `many`: any number of times (`setInterval`, `fs.watch`).
+ * - `maybe`: once or never.
+ *
+ * Projects add or override entries through the shared setting
+ * `settings['promise-rules'].callbackApis`.
+ */
+
+const { DEFAULT_GUARANTEED_HANDOFFS, matchesHandoff } = require('./handoffs');
+
+const CALLBACK_COUNTS = ['once', 'error-first', 'many', 'maybe'];
+
+const SETTINGS_KEY = 'promise-rules';
+
+const ERROR_FIRST_LAST = { last: 'error-first' };
+
+const DEFAULT_CALLBACK_APIS = {
+  setTimeout: { 0: 'once' },
+  setImmediate: { 0: 'once' },
+  queueMicrotask: { 0: 'once' },
+  requestAnimationFrame: { 0: 'once' },
+  requestIdleCallback: { 0: 'once' },
+  'process.nextTick': { 0: 'once' },
+  setInterval: { 0: 'many' },
+  'fs.watch': { last: 'many' },
+  'fs.watchFile': { last: 'many' },
+  'fs.access': ERROR_FIRST_LAST,
+  'fs.appendFile': ERROR_FIRST_LAST,
+  'fs.close': ERROR_FIRST_LAST,
+  'fs.copyFile': ERROR_FIRST_LAST,
+  'fs.lstat': ERROR_FIRST_LAST,
+  'fs.mkdir': ERROR_FIRST_LAST,
+  'fs.mkdtemp': ERROR_FIRST_LAST,
+  'fs.open': ERROR_FIRST_LAST,
+  'fs.readdir': ERROR_FIRST_LAST,
+  'fs.readFile': ERROR_FIRST_LAST,
+  'fs.realpath': ERROR_FIRST_LAST,
+  'fs.rename': ERROR_FIRST_LAST,
+  'fs.rm': ERROR_FIRST_LAST,
+  'fs.rmdir': ERROR_FIRST_LAST,
+  'fs.stat': ERROR_FIRST_LAST,
+  'fs.unlink': ERROR_FIRST_LAST,
+  'fs.writeFile': ERROR_FIRST_LAST,
+  'dns.lookup': ERROR_FIRST_LAST,
+  'dns.resolve': ERROR_FIRST_LAST,
+  'crypto.pbkdf2': ERROR_FIRST_LAST,
+  'crypto.randomBytes': ERROR_FIRST_LAST,
+  'crypto.scrypt': ERROR_FIRST_LAST,
+  'zlib.deflate': ERROR_FIRST_LAST,
+  'zlib.gunzip': ERROR_FIRST_LAST,
+  'zlib.gzip': ERROR_FIRST_LAST,
+  'zlib.inflate': ERROR_FIRST_LAST,
+  'child_process.exec': ERROR_FIRST_LAST,
+  'child_process.execFile': ERROR_FIRST_LAST,
+  'stream.finished': ERROR_FIRST_LAST,
+  'stream.pipeline': ERROR_FIRST_LAST,
+};
+
+function isPosition(key) {
+  return key === 'last' || /^\d+$/.test(key);
+}
+
+/**
+ * Reads the entries a project adds through shared settings, keeping only
+ * well-formed positions and counts.
+ * @param {object} [settings] ESLint shared settings (`context.settings`).
+ * @returns {object} API name -> { position: count }.
+ */
+function getCallbackApis(settings) {
+  const configured = settings && settings[SETTINGS_KEY] && settings[SETTINGS_KEY].callbackApis;
+  const apis = {};
+  if (!configured || typeof configured !== 'object') return apis;
+
+  for (const [name, positions] of Object.entries(configured)) {
+    if (!positions || typeof positions !== 'object') continue;
+
+    const entry = {};
+    for (const [position, count] of Object.entries(positions)) {
+      if (isPosition(position) && CALLBACK_COUNTS.includes(count)) {
+        entry[position] = count;
+      }
+    }
+    apis[name] = entry;
+  }
+  return apis;
+}
+
+// Table -> its names, dotted names first so `fs.watch` wins over `watch`
+const sortedNames = new WeakMap();
+
+function findEntry(apis, callNode) {
+  if (!sortedNames.has(apis)) {
+    sortedNames.set(apis, Object.keys(apis).sort((a, b) => b.split('.').length - a.split('.').length));
+  }
+  const name = sortedNames.get(apis).find(candidate => matchesHandoff(callNode, [candidate]));
+  return name ? apis[name] : null;
+}
+
+function getEntryCount(apis, callNode, index) {
+  const entry = findEntry(apis, callNode);
+  if (!entry) return null;
+
+  if (entry[index]) return entry[index];
+  return index === callNode.arguments.length - 1 && entry.last ? entry.last : null;
+}
+
+/**
+ * How often a call invokes the function passed at an argument position.
+ * Entries from settings come first, then `guaranteedHandoffs` (any
+ * position calls back once), then the built-in table. Configured
+ * `guaranteedHandoffs` replace the built-in APIs calling back once.
+ * @param {ASTNode} callNode A CallExpression.
+ * @param {number} index The argument position.
+ * @param {object} options Rule options, with `callbackApis` from
+ *   `getCallbackApis()`.
+ * @returns {string|null} `'once'`, `'error-first'`, `'many'` or `'maybe'`,
+ *   or null for an unknown API.
+ */
+function getCallbackCount(callNode, index, options) {
+  const configured = options.callbackApis ? getEntryCount(options.callbackApis, callNode, index) : null;
+  if (configured) return configured;
+
+  if (matchesHandoff(callNode, options.guaranteedHandoffs || DEFAULT_GUARANTEED_HANDOFFS)) {
+    return 'once';
+  }
+
+  const builtIn = getEntryCount(DEFAULT_CALLBACK_APIS, callNode, index);
+  if (options.guaranteedHandoffs && (builtIn === 'once' || builtIn === 'error-first')) {
+    return null;
+  }
+  return builtIn;
+}
+
+module.exports = {
+  CALLBACK_COUNTS,
+  DEFAULT_CALLBACK_APIS,
+  getCallbackApis,
+  getCallbackCount,
+};
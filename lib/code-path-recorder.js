@@ -0,0 +1,135 @@
+// Expressions evaluated by a statement other than an ExpressionStatement
+const STATEMENT_EXPRESSIONS = [
+  'ReturnStatement > .argument',
+  'ThrowStatement > .argument',
+  'IfStatement > .test',
+  'SwitchStatement > .discriminant',
+  'WhileStatement > .test',
+  'DoWhileStatement > .test',
+  'ForStatement > .init',
+  'ForStatement > .test',
+  'ForStatement > .update',
+  'ForInStatement > .right',
+  'ForOfStatement > .right',
+].join(', ');
+
+/**
+ * Records ESLint's code path analysis for every function in the file.
+ *
+ * Rules spread `recorder.listeners` into the object returned from `create()`
+ * and walk the recorded segment graph once traversal is done (`Program:exit`),
+ * when every code path has ended and its segments are fully linked.
+ *
+ * Each segment keeps the events that ran in it, in evaluation order:
+ * - `call`: a CallExpression, recorded on exit so its arguments run first
+ * - `new`: a NewExpression, recorded on exit like a call
+ * - `await`: an AwaitExpression, recorded on exit once its operand ran
+ * - `function`: a nested function created at this point
+ * - `try`: a TryStatement entered at this point
+ * - `return`: a ReturnStatement
+ * - `jump`: a ThrowStatement, BreakStatement or ContinueStatement
+ * - `statement`: an ExpressionStatement or VariableDeclaration about to run,
+ *   or an expression a statement evaluates: a `return` or `throw` argument,
+ *   an `if` test, a `switch` discriminant or a loop head (a `for` init, test
+ *   or update, a `while` or `do...while` test, a `for...in`/`for...of`
+ *   right-hand side), recorded where it is evaluated
+ */
+function createCodePathRecorder() {
+  const records = new Map();
+  const stack = [];
+
+  function currentRecord() {
+    return stack[stack.length - 1];
+  }
+
+  function addEvent(record, event) {
+    for (const segment of record.currentSegments) {
+      record.segments.get(segment.id).events.push(event);
+    }
+  }
+
+  function recordEvent(type) {
+    return node => {
+      const record = currentRecord();
+      if (record) {
+        addEvent(record, { type, node });
+      }
+    };
+  }
+
+  function startSegment(segment, node) {
+    const record = currentRecord();
+    record.segments.set(segment.id, { segment, startNode: node, events: [] });
+    record.currentSegments.add(segment);
+  }
+
+  function endSegment(segment) {
+    currentRecord().currentSegments.delete(segment);
+  }
+
+  const listeners = {
+    onCodePathStart(codePath, node) {
+      const parent = currentRecord();
+      if (parent && isFunction(node)) {
+        addEvent(parent, { type: 'function', node });
+      }
+
+      const record = {
+        node,
+        codePath,
+        segments: new Map(),
+        currentSegments: new Set(),
+      };
+      records.set(node, record);
+      stack.push(record);
+    },
+    onCodePathEnd() {
+      stack.pop();
+    },
+
+    // ESLint >= 8.50 reports unreachable segments through separate events;
+    // older versions report none, hence the peer dependency range
+    onCodePathSegmentStart: startSegment,
+    onUnreachableCodePathSegmentStart: startSegment,
+    onCodePathSegmentEnd: endSegment,
+    onUnreachableCodePathSegmentEnd: endSegment,
+
+    'CallExpression:exit': recordEvent('call'),
+    'NewExpression:exit': recordEvent('new'),
+    'AwaitExpression:exit': recordEvent('await'),
+    TryStatement: recordEvent('try'),
+    ReturnStatement: recordEvent('return'),
+    ThrowStatement: recordEvent('jump'),
+    BreakStatement: recordEvent('jump'),
+    ContinueStatement: recordEvent('jump'),
+    ExpressionStatement: recordEvent('statement'),
+    VariableDeclaration: recordEvent('statement'),
+    [STATEMENT_EXPRESSIONS]: recordEvent('statement'),
+  };
+
+  return {
+    listeners,
+
+    /**
+     * @param {ASTNode} node A function node.
+     * @returns {object|null} `{ node, codePath, segments }`, where `segments`
+     *   maps segment ids to `{ segment, startNode, events }`.
+     */
+    getCodePath(node) {
+      return records.get(node) || null;
+    },
+  };
+}
+
+function isFunction(node) {
+  return (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  );
+}
+
+module.exports = {
+  createCodePathRecorder,
+  isFunction,
+};
@@ -0,0 +1,205 @@
+/**
+ * Event listener registrations as settle sites. Wrapping an emitter
+ * (`stream.on('end', () => resolve(data)); stream.on('error', reject)`)
+ * registers several listeners that together settle the promise once: the
+ * first event to fire wins. The listeners registered on one emitter form a
+ * group, which covers the promise when it listens for both a success event
+ * and `'error'`. Handlers stored in the `on*` properties of one object
+ * (`request.onload = ...; request.onerror = ...`) race the same way.
+ */
+
+const { isFunction } = require('./code-path-recorder');
+const { matchesHandoff } = require('./handoffs');
+const { getLocalFunctionIndex } = require('./local-functions');
+const { isInside } = require('./ast-helpers');
+
+const REGISTRATION_METHODS = ['on', 'once', 'addEventListener'];
+
+// Events emitted any number of times
+const DEFAULT_REPEATING_EVENTS = [
+  'data',
+  'readable',
+  'message',
+  'progress',
+  'line',
+  'connection',
+  'request',
+  'drain',
+  'change',
+  'input',
+];
+
+const ERROR_EVENT = 'error';
+
+// Handler properties for events that fire once per state change
+const REPEATING_HANDLERS = ['onreadystatechange'];
+
+// `{ once: true }` passed to addEventListener
+function hasOnceOption(node) {
+  return Boolean(node) && node.type === 'ObjectExpression' && node.properties.some(property => (
+    property.type === 'Property' &&
+    !property.computed &&
+    property.key.type === 'Identifier' &&
+    property.key.name === 'once' &&
+    property.value.type === 'Literal' &&
+    property.value.value === true
+  ));
+}
+
+/**
+ * @param {ASTNode} callNode A CallExpression.
+ * @returns {object|null} `{ emitter, event, once, handler }` for
+ *   `emitter.on('event', handler)`, `.once()` and `.addEventListener()` with
+ *   a literal event name; `emitter` is the object the listener is added to,
+ *   looking through chained registrations.
+ */
+function getRegistration(callNode) {
+  const { callee } = callNode;
+  if (
+    callee.type !== 'MemberExpression' ||
+    !matchesHandoff(callNode, REGISTRATION_METHODS) ||
+    callNode.arguments.length < 2 ||
+    callNode.arguments[0].type !== 'Literal' ||
+    typeof callNode.arguments[0].value !== 'string'
+  ) {
+    return null;
+  }
+
+  // `stream.on('end', ...).on('error', ...)` registers both on `stream`
+  let emitter = callee.object;
+  while (emitter.type === 'CallExpression' && getRegistration(emitter)) {
+    emitter = emitter.callee.object;
+  }
+
+  const method = callee.property.name;
+  return {
+    emitter,
+    event: callNode.arguments[0].value,
+    once: method === 'once' || (method === 'addEventListener' && hasOnceOption(callNode.arguments[2])),
+    handler: callNode.arguments[1],
+  };
+}
+
+/**
+ * Groups the registrations whose listener settles: the listener is a
+ * resolver, or a function calling or handing one off.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {object} uses Resolver uses from `findParameterUses()`.
+ * @param {ASTNode} functionNode The function registering the listeners.
+ * @returns {Array} Groups as arrays of `{ callNode, emitter, event, once }`,
+ *   one per emitter, in source order.
+ */
+function findListenerGroups(sourceCode, uses, functionNode) {
+  const registrations = new Map();
+
+  function addRegistration(callNode) {
+    const registration = callNode && getRegistration(callNode);
+    if (registration && !registrations.has(callNode) && isInside(callNode, functionNode)) {
+      registrations.set(callNode, { callNode, ...registration });
+    }
+  }
+
+  for (const [node] of uses.references) {
+    if (node.parent.type === 'CallExpression' && node.parent.arguments[1] === node) {
+      addRegistration(node.parent);
+    }
+  }
+
+  // Functions around a settle that are themselves a listener, inline or
+  // passed by name
+  const { passed } = getLocalFunctionIndex(sourceCode.scopeManager);
+  const isListenerArgument = node => node.parent.type === 'CallExpression' && node.parent.arguments[1] === node;
+  for (const callNode of [...uses.calls.keys(), ...uses.handoffs.keys()]) {
+    for (let current = callNode.parent; current && current !== functionNode; current = current.parent) {
+      if (!isFunction(current)) continue;
+
+      if (isListenerArgument(current)) {
+        addRegistration(current.parent);
+      }
+      for (const [identifier, passedFunction] of passed) {
+        if (passedFunction === current && isListenerArgument(identifier)) {
+          addRegistration(identifier.parent);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const registration of registrations.values()) {
+    const key = sourceCode.getText(registration.emitter);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(registration);
+  }
+
+  return [...groups.values()].map(group => group.sort((a, b) => a.callNode.range[0] - b.callNode.range[0]));
+}
+
+// The object a function is stored on as an event handler property:
+// `request` for `request.onload = () => ...`
+function getHandlerObject(node) {
+  const { parent } = node;
+  if (
+    parent.type !== 'AssignmentExpression' ||
+    parent.operator !== '=' ||
+    parent.right !== node ||
+    parent.left.type !== 'MemberExpression' ||
+    parent.left.computed ||
+    parent.left.property.type !== 'Identifier' ||
+    !/^on[a-z]/.test(parent.left.property.name)
+  ) {
+    return null;
+  }
+  return parent.left.object;
+}
+
+/**
+ * @param {ASTNode} functionNode A function stored as an `on*` handler.
+ * @param {string[]} [repeatingEvents] Events emitted any number of times.
+ * @returns {boolean} Whether the handler may run any number of times
+ *   (`xhr.onreadystatechange`, `socket.onmessage`).
+ */
+function isRepeatingHandler(functionNode, repeatingEvents = DEFAULT_REPEATING_EVENTS) {
+  if (!getHandlerObject(functionNode)) return false;
+
+  const { name } = functionNode.parent.left.property;
+  return REPEATING_HANDLERS.includes(name) || repeatingEvents.includes(name.slice(2));
+}
+
+/**
+ * Groups the functions around a settle that are stored as `on*` handlers,
+ * one group per object.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {object} uses Resolver uses from `findParameterUses()`.
+ * @param {ASTNode} functionNode The function storing the handlers.
+ * @returns {Map<ASTNode, ASTNode[]>} Each handler's group, in source order.
+ */
+function findHandlerGroups(sourceCode, uses, functionNode) {
+  const groups = new Map();
+
+  for (const callNode of [...uses.calls.keys(), ...uses.handoffs.keys()]) {
+    for (let current = callNode.parent; current && current !== functionNode; current = current.parent) {
+      const object = isFunction(current) ? getHandlerObject(current) : null;
+      if (!object) continue;
+
+      const key = sourceCode.getText(object);
+      if (!groups.has(key)) groups.set(key, new Set());
+      groups.get(key).add(current);
+    }
+  }
+
+  const handlerGroups = new Map();
+  for (const handlers of groups.values()) {
+    const group = [...handlers].sort((a, b) => a.range[0] - b.range[0]);
+    group.forEach(handler => handlerGroups.set(handler, group));
+  }
+  return handlerGroups;
+}
+
+module.exports = {
+  DEFAULT_REPEATING_EVENTS,
+  ERROR_EVENT,
+  getRegistration,
+  findListenerGroups,
+  findHandlerGroups,
+  isRepeatingHandler,
+};
@@ -0,0 +1,284 @@
+/**
+ * Options every rule checking Promise executors accepts: which constructors
+ * take an executor, which executors to skip, and what their parameters must
+ * look like. Rules collect the executors they check and report parameter
+ * problems through the helpers here.
+ */
+
+const path = require('path');
+const { getResolverBindings } = require('./resolver-references');
+const { createPromiseConstructorMatcher, getExecutorFunction } = require('./promise-executor');
+const { getCallbackApis } = require('./callback-apis');
+const { getMissingRejectFix } = require('./fixes');
+
+// Message ids for parameter problems, unless a rule names its own
+const PARAMETER_MESSAGE_IDS = {
+  missingResolve: 'missingResolve',
+  missingReject: 'missingReject',
+  unexpectedName: 'unexpectedParameterName',
+};
+
+const executorOptionsSchema = {
+  promiseConstructors: {
+    type: 'array',
+    items: { type: 'string' },
+    uniqueItems: true,
+  },
+  promiseModules: {
+    type: 'array',
+    items: { type: 'string' },
+    uniqueItems: true,
+  },
+  parameterNames: {
+    type: 'object',
+    properties: {
+      resolve: { type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true },
+      reject: { type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true },
+    },
+    additionalProperties: false,
+  },
+  allowResolveOnly: {
+    type: 'boolean',
+  },
+  ignoreFiles: {
+    type: 'array',
+    items: { type: 'string' },
+    uniqueItems: true,
+  },
+  ignoreComment: {
+    type: 'string',
+    minLength: 1,
+  },
+  reportUnverifiable: {
+    type: 'boolean',
+  },
+};
+
+/**
+ * Converts a glob to a regular expression: `*` and `?` stay within one path
+ * segment, `**` spans directories.
+ * @param {string} glob A glob such as `src/legacy/**` or `*.spec.js`.
+ * @returns {RegExp} Matches whole `/`-separated paths.
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * A pattern with a `/` is matched against the path relative to the working
+ * directory, one without against the file name alone.
+ * @param {RuleContext} context The rule context.
+ * @param {string[]} patterns Globs from the `ignoreFiles` option.
+ * @returns {boolean} Whether the linted file matches any pattern.
+ */
+function isIgnoredFile(context, patterns) {
+  const filename = context.filename || context.getFilename();
+  const cwd = context.cwd || context.getCwd();
+  const relative = path.relative(cwd, filename).split(path.sep).join('/');
+  const basename = path.basename(filename);
+
+  return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? relative : basename));
+}
+
+// The marker may sit right before the expression or before its statement
+function hasIgnoreComment(sourceCode, node, marker) {
+  let statement = node;
+  while (statement && !/(Statement|Declaration)$/.test(statement.type)) {
+    statement = statement.parent;
+  }
+
+  return [node, statement].some(candidate => (
+    candidate && sourceCode.getCommentsBefore(candidate).some(comment => comment.value.includes(marker))
+  ));
+}
+
+/**
+ * @param {RuleContext} context The rule context.
+ * @param {ASTNode} node The `new Promise(...)` expression.
+ * @param {object} options Rule options.
+ * @returns {boolean} Whether the executor is excluded by `ignoreFiles` or
+ *   `ignoreComment`.
+ */
+function isIgnoredExecutor(context, node, options) {
+  const sourceCode = context.sourceCode || context.getSourceCode();
+
+  return Boolean(
+    (options.ignoreFiles && isIgnoredFile(context, options.ignoreFiles)) ||
+    (options.ignoreComment && hasIgnoreComment(sourceCode, node, options.ignoreComment))
+  );
+}
+
+/**
+ * A resolve-only executor has a failure path when it can end in an uncaught
+ * throw or catches an error it has no `reject` to pass to.
+ * @param {object} recorder The rule's code path recorder.
+ * @param {ASTNode} executorFn The executor function.
+ * @returns {boolean} Whether the executor can fail.
+ */
+function hasFailurePath(recorder, executorFn) {
+  const { codePath, segments } = recorder.getCodePath(executorFn);
+  const reachedSegments = [...segments.values()].filter(({ segment }) => segment.reachable);
+
+  return (
+    codePath.thrownSegments.length > 0 ||
+    reachedSegments.some(({ startNode }) => startNode.type === 'CatchClause')
+  );
+}
+
+function describeNames(names) {
+  return names.map(name => `\`${name}\``).join(' or ');
+}
+
+/**
+ * Checks the executor's parameters against the options. A resolver reached
+ * through a default, a rest parameter or a destructured rest array counts as
+ * declared; only plain parameters are held to the configured names.
+ * @param {ASTNode} executorFn The executor function.
+ * @param {object} options Rule options.
+ * @param {Function} canFail Called when the executor has a resolve parameter
+ *   but no reject, returns whether it has a failure path.
+ * @returns {object[]} Problems as `{ node, problem, data }`, where `problem` is
+ *   `'missingResolve'`, `'missingReject'` or `'unexpectedName'`.
+ */
+function getParameterProblems(executorFn, options, canFail) {
+  const { resolve, reject } = getResolverBindings(executorFn);
+  const problems = [];
+
+  if (!resolve) {
+    problems.push({ node: executorFn, problem: 'missingResolve' });
+    return problems;
+  }
+
+  // A second parameter that cannot hold reject is always a mistake
+  if (!reject && (executorFn.params.length > 1 || !options.allowResolveOnly || canFail())) {
+    problems.push({ node: executorFn, problem: 'missingReject' });
+  }
+
+  const expectedNames = options.parameterNames || {};
+  [[resolve, expectedNames.resolve], [reject, expectedNames.reject]].forEach(([binding, names]) => {
+    if (binding && binding.index === null && names && !names.includes(binding.identifier.name)) {
+      problems.push({
+        node: binding.identifier,
+        problem: 'unexpectedName',
+        data: { name: binding.identifier.name, expected: describeNames(names) },
+      });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Reports the executor's parameter problems (see `getParameterProblems()`),
+ * unless `checkParameters` is off. A missing reject parameter is fixed by
+ * adding one, named like the first accepted reject name.
+ * @param {RuleContext} context The rule context.
+ * @param {object} recorder The rule's code path recorder.
+ * @param {ASTNode} executorFn The executor function.
+ * @param {object} options Rule options.
+ * @param {object} [messageIds] Message ids replacing the default ones, by
+ *   problem: `missingResolve`, `missingReject` or `unexpectedName`.
+ * @returns {boolean} Whether the executor can be analyzed: its only
+ *   problems, if any, are misnamed parameters.
+ */
+function reportParameterProblems(context, recorder, executorFn, options, messageIds = {}) {
+  const sourceCode = context.sourceCode || context.getSourceCode();
+  const problems = getParameterProblems(executorFn, options, () => hasFailurePath(recorder, executorFn));
+  const rejectNames = options.parameterNames && options.parameterNames.reject;
+
+  if (options.checkParameters !== false) {
+    problems.forEach(({ node, problem, data }) => {
+      context.report({
+        node,
+        messageId: messageIds[problem] || PARAMETER_MESSAGE_IDS[problem],
+        data,
+        fix: problem === 'missingReject'
+          ? getMissingRejectFix(sourceCode, executorFn, rejectNames ? rejectNames[0] : undefined)
+          : null,
+      });
+    });
+  }
+
+  return problems.every(({ problem }) => problem === 'unexpectedName');
+}
+
+/**
+ * Collects the executors of the Promise constructors a rule checks, skipping
+ * ignored ones. An executor passed by reference is collected once, however
+ * many Promises use it, and may be declared after them, so the collection is
+ * complete at `Program:exit`.
+ * @param {RuleContext} context The rule context.
+ * @param {object} options Rule options.
+ * @param {boolean} [reportsUnverifiable] Whether the rule declares the
+ *   `unverifiableExecutor` message; with `reportUnverifiable`, it is reported
+ *   for an executor that cannot be resolved to a function in this file.
+ * @returns {object} `{ executors, listeners }`: the executors in the order
+ *   they were found, and listeners to spread into the rule's.
+ */
+function createExecutorCollector(context, options, reportsUnverifiable = false) {
+  const sourceCode = context.sourceCode || context.getSourceCode();
+  const isPromiseConstructor = createPromiseConstructorMatcher(sourceCode, options);
+  const executors = new Set();
+
+  return {
+    executors,
+    listeners: {
+      NewExpression(node) {
+        if (!isPromiseConstructor(node) || isIgnoredExecutor(context, node, options)) return;
+
+        const executorFn = getExecutorFunction(node, sourceCode);
+        if (executorFn) {
+          executors.add(executorFn);
+        } else if (reportsUnverifiable && options.reportUnverifiable && node.arguments.length > 0) {
+          context.report({
+            node: node.arguments[0],
+            messageId: 'unverifiableExecutor',
+          });
+        }
+      },
+    },
+  };
+}
+
+/**
+ * How often handed-off resolvers run also depends on the APIs a project
+ * describes in shared settings.
+ * @param {RuleContext} context The rule context.
+ * @param {object} options Rule options.
+ * @returns {object} The options for the settle analysis.
+ */
+function getAnalysisOptions(context, options) {
+  return { ...options, callbackApis: getCallbackApis(context.settings) };
+}
+
+module.exports = {
+  executorOptionsSchema,
+  globToRegExp,
+  isIgnoredExecutor,
+  hasFailurePath,
+  getParameterProblems,
+  reportParameterProblems,
+  createExecutorCollector,
+  getAnalysisOptions,
+};
@@ -0,0 +1,197 @@
+/**
+ * Fixes and suggestions for the common executor mistakes. Adding a missing
+ * `reject` parameter never changes what the code does, so it is an autofix;
+ * adding a `return`, an `else` branch or an error guard changes control flow
+ * and is only offered as a suggestion.
+ */
+
+const { isInside, isCallArgument, getEnclosingFunction } = require('./ast-helpers');
+const { ITERATION_METHODS, matchesHandoff } = require('./handoffs');
+
+function getIndent(sourceCode, node) {
+  return sourceCode.lines[node.loc.start.line - 1].match(/^\s*/)[0];
+}
+
+/**
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {ASTNode} executorFn An executor declaring only a resolve parameter.
+ * @param {string} [name] Name of the parameter to add.
+ * @returns {Function|null} A fixer adding a reject parameter, unless the
+ *   name is already in use inside the executor.
+ */
+function getMissingRejectFix(sourceCode, executorFn, name = 'reject') {
+  const [param] = executorFn.params;
+  if (executorFn.params.length !== 1 || param.type === 'RestElement') return null;
+
+  const scope = sourceCode.scopeManager.acquire(executorFn);
+  const isNameTaken = scope.set.has(name) ||
+    scope.through.some(reference => reference.identifier.name === name);
+  if (isNameTaken) return null;
+
+  const tokenBefore = sourceCode.getTokenBefore(param);
+  if (tokenBefore.value === '(' && tokenBefore.range[0] >= executorFn.range[0]) {
+    return fixer => fixer.insertTextAfter(param, `, ${name}`);
+  }
+
+  // `resolve => ...` needs parentheses around the parameter list
+  return fixer => fixer.replaceText(param, `(${sourceCode.getText(param)}, ${name})`);
+}
+
+// A `finally` block the call runs before that settles too, which a
+// `return` at the call would still run
+function hasSettlingFinally(callNode, functionNode, settleCalls) {
+  for (let current = callNode; current !== functionNode && current.parent; current = current.parent) {
+    const parent = current.parent;
+    if (
+      parent.type === 'TryStatement' &&
+      parent.finalizer &&
+      parent.finalizer !== current &&
+      settleCalls.some(settle => isInside(settle, parent.finalizer))
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Suggests `return resolve(...)` for settling statements another settle can
+ * still run after. A `return` inside a `forEach`/`map` callback would not stop
+ * the iteration, and one inside a `try` whose `finally` block settles would
+ * not stop that settle, so those calls get no suggestion.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {Iterable<ASTNode>} calls Settling calls followed by another settle.
+ * @param {Iterable<ASTNode>} [settleCalls] Every call that may settle in the
+ *   functions holding them.
+ * @returns {object[]} Suggestions for `context.report()`.
+ */
+function getReturnSuggestions(sourceCode, calls, settleCalls = []) {
+  const suggestions = [];
+  const otherSettles = [...settleCalls];
+
+  for (const callNode of calls) {
+    const statement = callNode.parent;
+    if (statement.type !== 'ExpressionStatement' || statement.expression !== callNode) continue;
+
+    const functionNode = getEnclosingFunction(callNode);
+    const isIterationCallback = functionNode &&
+      isCallArgument(functionNode) &&
+      matchesHandoff(functionNode.parent, ITERATION_METHODS);
+    if (isIterationCallback || hasSettlingFinally(callNode, functionNode, otherSettles)) continue;
+
+    suggestions.push({
+      messageId: 'addReturn',
+      data: {
+        name: sourceCode.getText(callNode.callee),
+        line: callNode.loc.start.line,
+      },
+      fix: fixer => fixer.insertTextBefore(statement, 'return '),
+    });
+  }
+
+  return suggestions;
+}
+
+// `if (a) {...} else if (b) {...}` whose missing `else` falls off the end of
+// the function body
+function isLastBranch(ifStatement, functionNode) {
+  let current = ifStatement;
+  while (current.parent.type === 'IfStatement' && current.parent.alternate === current) {
+    current = current.parent;
+  }
+
+  const body = current.parent;
+  return (
+    body === functionNode.body &&
+    body.type === 'BlockStatement' &&
+    body.body[body.body.length - 1] === current
+  );
+}
+
+/**
+ * Suggests an `else { reject(new Error(...)) }` skeleton for the `if`
+ * statements that settle in their consequent but have no `else`, when they
+ * end the function body.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {ASTNode} functionNode The function leaving a path unsettled.
+ * @param {Iterable<ASTNode>} settleCalls Calls that may settle in the function.
+ * @param {string|null} rejectName Name of the executor's reject function,
+ *   null for a resolve-only executor.
+ * @returns {object[]} Suggestions for `context.report()`.
+ */
+function getElseSuggestions(sourceCode, functionNode, settleCalls, rejectName) {
+  const ifStatements = new Set();
+  if (!rejectName) return [];
+
+  for (const callNode of settleCalls) {
+    let current = callNode;
+    while (current !== functionNode && current.parent) {
+      const parent = current.parent;
+      if (
+        parent.type === 'IfStatement' &&
+        parent.consequent === current &&
+        !parent.alternate &&
+        isLastBranch(parent, functionNode)
+      ) {
+        ifStatements.add(parent);
+      }
+      current = parent;
+    }
+  }
+
+  return [...ifStatements].map(ifStatement => {
+    let root = ifStatement;
+    while (root.parent.type === 'IfStatement' && root.parent.alternate === root) {
+      root = root.parent;
+    }
+    const indent = getIndent(sourceCode, root);
+    const innerIndent = `${indent}  `;
+
+    return {
+      messageId: 'addElse',
+      data: { name: rejectName },
+      fix: fixer => fixer.insertTextAfter(
+        ifStatement.consequent,
+        ` else {\n${innerIndent}${rejectName}(new Error('Unhandled case'));\n${indent}}`
+      ),
+    };
+  });
+}
+
+/**
+ * Suggests `if (err) return reject(err);` at the top of an error-first
+ * callback. An expression body becomes a block returning the expression.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {ASTNode} callback The error-first callback.
+ * @param {string} errorName Name of its error parameter.
+ * @param {string} rejectName Name of the executor's reject function.
+ * @returns {object[]} Suggestions for `context.report()`.
+ */
+function getRejectErrorSuggestions(sourceCode, callback, errorName, rejectName) {
+  const guard = `if (${errorName}) return ${rejectName}(${errorName});`;
+  const { body } = callback;
+
+  let fix;
+  if (body.type !== 'BlockStatement') {
+    fix = fixer => fixer.replaceText(body, `{ ${guard} return ${sourceCode.getText(body)}; }`);
+  } else if (body.body.length === 0) {
+    fix = fixer => fixer.replaceText(body, `{ ${guard} }`);
+  } else {
+    const [first] = body.body;
+    const separator = first.loc.start.line === body.loc.start.line ? ' ' : `\n${getIndent(sourceCode, first)}`;
+    fix = fixer => fixer.insertTextBefore(first, `${guard}${separator}`);
+  }
+
+  return [{
+    messageId: 'rejectError',
+    data: { name: errorName, reject: rejectName },
+    fix,
+  }];
+}
+
+module.exports = {
+  getMissingRejectFix,
+  getReturnSuggestions,
+  getElseSuggestions,
+  getRejectErrorSuggestions,
+};
@@ -0,0 +1,111 @@
+/**
+ * Passing `resolve`/`reject` to another function (`setTimeout(resolve, 10)`,
+ * `other.then(resolve, reject)`) hands settlement off to that function.
+ * Whether the handoff is certain to settle the promise depends on the callee.
+ */
+
+const DEFAULT_GUARANTEED_HANDOFFS = [
+  'then',
+  'once',
+  'setTimeout',
+  'setImmediate',
+  'queueMicrotask',
+  'requestAnimationFrame',
+  'process.nextTick',
+];
+
+// Array methods that call their callback once per element
+const ITERATION_METHODS = ['forEach', 'map'];
+
+const handoffOptionsSchema = {
+  guaranteedHandoffs: {
+    type: 'array',
+    items: { type: 'string' },
+    uniqueItems: true,
+  },
+  otherHandoffs: {
+    enum: ['maybe', 'guaranteed'],
+  },
+  helperDepth: {
+    type: 'integer',
+    minimum: 0,
+  },
+  crossModule: {
+    type: 'boolean',
+  },
+  terminatingCalls: {
+    type: 'array',
+    items: { type: 'string' },
+    uniqueItems: true,
+  },
+  repeatingEvents: {
+    type: 'array',
+    items: { type: 'string' },
+    uniqueItems: true,
+  },
+};
+
+/**
+ * @param {ASTNode} node A callee.
+ * @returns {string|null} Dotted path such as `process.nextTick` or `emitter.once`.
+ */
+function getCalleePath(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'ThisExpression') {
+    return 'this';
+  }
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    const object = getCalleePath(node.object);
+    return object ? `${object}.${node.property.name}` : node.property.name;
+  }
+  if (node.type === 'CallExpression') {
+    return getCalleePath(node.callee);
+  }
+  return null;
+}
+
+/**
+ * Matches a call against handoff names: a plain name (`then`, `setTimeout`)
+ * matches the called function or method, a dotted name (`process.nextTick`)
+ * matches the whole callee path.
+ * @param {ASTNode} callNode A CallExpression.
+ * @param {string[]} names Handoff names.
+ * @returns {boolean} Whether any name matches.
+ */
+function matchesHandoff(callNode, names) {
+  const path = getCalleePath(callNode.callee);
+  if (!path) return false;
+
+  const methodName = path.slice(path.lastIndexOf('.') + 1);
+  return names.some(name => (name.includes('.') ? path === name || path.endsWith(`.${name}`) : methodName === name));
+}
+
+/**
+ * `p.then(resolve).catch(reject)` hands off once: every call in a method
+ * chain belongs to its outermost call.
+ * @param {ASTNode} callNode A CallExpression.
+ * @returns {ASTNode} The outermost call of the chain.
+ */
+function getOutermostChainCall(callNode) {
+  let current = callNode;
+  while (
+    current.parent.type === 'MemberExpression' &&
+    current.parent.object === current &&
+    current.parent.parent.type === 'CallExpression' &&
+    current.parent.parent.callee === current.parent
+  ) {
+    current = current.parent.parent;
+  }
+  return current;
+}
+
+module.exports = {
+  DEFAULT_GUARANTEED_HANDOFFS,
+  ITERATION_METHODS,
+  handoffOptionsSchema,
+  getCalleePath,
+  matchesHandoff,
+  getOutermostChainCall,
+};
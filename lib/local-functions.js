@@ -0,0 +1,89 @@
+const { isFunction } = require('./code-path-recorder');
+const { isCallArgument } = require('./ast-helpers');
+
+const localFunctionIndexes = new WeakMap();
+
+/**
+ * @param {Variable} variable A scope variable.
+ * @returns {ASTNode|null} The function the variable is bound to, when it is
+ *   a function declaration or a variable initialized with a function and
+ *   never written again.
+ */
+function getFunctionBinding(variable) {
+  if (variable.defs.length !== 1) return null;
+
+  const [def] = variable.defs;
+  if (def.type === 'FunctionName' && def.node.type === 'FunctionDeclaration') {
+    return def.node;
+  }
+
+  if (
+    def.type === 'Variable' &&
+    def.node.id.type === 'Identifier' &&
+    def.node.init &&
+    isFunction(def.node.init) &&
+    variable.references.every(reference => !reference.isWrite() || reference.identifier === def.node.id)
+  ) {
+    return def.node.init;
+  }
+
+  return null;
+}
+
+function isCallee(node) {
+  return node.parent.type === 'CallExpression' && node.parent.callee === node;
+}
+
+/**
+ * Indexes the calls that run a function declared in the same file
+ * synchronously: calls through the function's binding and IIFEs.
+ * @param {ScopeManager} scopeManager The file's scope manager.
+ * @returns {object} `{ calls, callOnly, passed }`: `calls` maps
+ *   CallExpressions to the function they run, `callOnly` holds functions
+ *   whose every use is such a call (they never escape as a value) and
+ *   `passed` maps Identifiers passing a function by name as a call argument
+ *   (`source.subscribe(onData)`) to the function.
+ */
+function getLocalFunctionIndex(scopeManager) {
+  if (localFunctionIndexes.has(scopeManager)) {
+    return localFunctionIndexes.get(scopeManager);
+  }
+
+  const calls = new Map();
+  const callOnly = new Set();
+  const passed = new Map();
+
+  for (const scope of scopeManager.scopes) {
+    if (scope.type === 'function' && isFunction(scope.block) && isCallee(scope.block)) {
+      calls.set(scope.block.parent, scope.block);
+      callOnly.add(scope.block);
+    }
+
+    for (const variable of scope.variables) {
+      const functionNode = getFunctionBinding(variable);
+      if (!functionNode) continue;
+
+      const reads = variable.references.filter(reference => reference.isRead());
+      for (const { identifier } of reads) {
+        if (isCallee(identifier)) {
+          calls.set(identifier.parent, functionNode);
+        } else if (isCallArgument(identifier)) {
+          passed.set(identifier, functionNode);
+        }
+      }
+
+      if (reads.every(({ identifier }) => isCallee(identifier))) {
+        callOnly.add(functionNode);
+      }
+    }
+  }
+
+  const index = { calls, callOnly, passed };
+  localFunctionIndexes.set(scopeManager, index);
+  return index;
+}
+
+module.exports = {
+  getFunctionBinding,
+  getLocalFunctionIndex,
+};
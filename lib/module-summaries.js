@@ -0,0 +1,367 @@
+/**
+ * Settle summaries of functions imported from other modules of the project.
+ *
+ * A relative `require()`/`import` target is resolved on disk and parsed with
+ * ESLint's own Linter, so its functions get the same code path analysis as
+ * the linted file. For each exported function and set of parameters
+ * receiving resolvers, the summary says whether the function settles them
+ * `'never'`, `'maybe'`, `'once'` (always exactly once) or `'many'` times, or
+ * `'repeats'` them: hands them to an API calling back any number of times or
+ * settles them in a loop, so a settle may run again.
+ * Parsed modules and their summaries are cached by path and content hash,
+ * so a module is parsed once per process however many files import it, and
+ * again only when its content changes; the new version replaces the old one.
+ * A summary also records the hashes of the modules it was computed from, and
+ * is computed again once any of them changes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Linter } = require('eslint');
+const { createCodePathRecorder, isFunction } = require('./code-path-recorder');
+const { getReferenceIndex } = require('./resolver-references');
+const { getFunctionBinding } = require('./local-functions');
+const { ZERO, ONE, MANY } = require('./settle-count');
+const { getFunctionSettleCounts } = require('./settle-sites');
+
+const RESOLVED_EXTENSIONS = ['', '.js', '.cjs', '.mjs', '/index.js'];
+
+const SUMMARY_COUNTS = {
+  never: ZERO,
+  maybe: ZERO | ONE,
+  once: ONE,
+  many: MANY,
+  repeats: ZERO | ONE | MANY,
+};
+
+// Module path -> `{ hash, parsed }` for the last version seen, where
+// `parsed` is null when it does not parse
+const moduleCache = new Map();
+
+// Summaries being computed, so import cycles fall back to a plain handoff
+const pending = new Set();
+
+// Path -> hash maps of the modules each summary being computed reads
+const collecting = [];
+
+function recordDependencies(dependencies) {
+  collecting.forEach(collected => dependencies.forEach((hash, filePath) => collected.set(filePath, hash)));
+}
+
+/**
+ * @param {number} counts Bitmask of settle counts.
+ * @param {boolean} [repeats] Whether a settle may run again.
+ * @returns {string} `'never'`, `'maybe'`, `'once'`, `'many'` or `'repeats'`.
+ */
+function describeCounts(counts, repeats = false) {
+  if (repeats) return 'repeats';
+  if (counts & MANY) return 'many';
+  if (counts === ONE) return 'once';
+  return counts & ONE ? 'maybe' : 'never';
+}
+
+function resolveModulePath(fromFile, specifier) {
+  if (typeof specifier !== 'string' || !/^\.\.?(\/|$)/.test(specifier)) {
+    return null;
+  }
+
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  for (const extension of RESOLVED_EXTENSIONS) {
+    const candidate = base + extension;
+    try {
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch {
+      // Try the next extension
+    }
+  }
+  return null;
+}
+
+function getPropertyName(node, computed) {
+  if (!computed && node.type === 'Identifier') return node.name;
+  if (node.type === 'Literal') return String(node.value);
+  return null;
+}
+
+// The function a value exported by name evaluates to
+function resolveExportedFunction(node, referenceIndex) {
+  if (isFunction(node)) return node;
+  if (node.type !== 'Identifier') return null;
+
+  const reference = referenceIndex.get(node);
+  return reference && reference.resolved ? getFunctionBinding(reference.resolved) : null;
+}
+
+// `module.exports` or `exports`
+function isExportsObject(node) {
+  return (
+    (node.type === 'Identifier' && node.name === 'exports') ||
+    (node.type === 'MemberExpression' &&
+      getPropertyName(node.property, node.computed) === 'exports' &&
+      node.object.type === 'Identifier' &&
+      node.object.name === 'module')
+  );
+}
+
+/**
+ * Collects a module's exported functions: ES module exports and CommonJS
+ * `module.exports`/`exports` assignments. A function assigned to
+ * `module.exports` is the `default` export.
+ * @param {SourceCode} sourceCode The module's source code.
+ * @returns {Map<string, ASTNode>} Export name -> function.
+ */
+function getExportedFunctions(sourceCode) {
+  const referenceIndex = getReferenceIndex(sourceCode.scopeManager);
+  const exported = new Map();
+
+  function add(name, node) {
+    const functionNode = node && name !== null ? resolveExportedFunction(node, referenceIndex) : null;
+    if (functionNode) exported.set(name, functionNode);
+  }
+
+  for (const statement of sourceCode.ast.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      add('default', statement.declaration);
+    } else if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+      const { declaration } = statement;
+      if (declaration && declaration.type === 'FunctionDeclaration') {
+        add(declaration.id.name, declaration);
+      } else if (declaration && declaration.type === 'VariableDeclaration') {
+        declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier' && declarator.init)
+          .forEach(declarator => add(declarator.id.name, declarator.init));
+      }
+      statement.specifiers.forEach(specifier => (
+        add(getPropertyName(specifier.exported, false), specifier.local)
+      ));
+    } else if (
+      statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'AssignmentExpression' &&
+      statement.expression.operator === '='
+    ) {
+      const { left, right } = statement.expression;
+
+      if (isExportsObject(left) && right.type === 'ObjectExpression') {
+        right.properties
+          .filter(property => property.type === 'Property')
+          .forEach(property => add(getPropertyName(property.key, property.computed), property.value));
+      } else if (isExportsObject(left)) {
+        add('default', right);
+      } else if (left.type === 'MemberExpression' && isExportsObject(left.object)) {
+        add(getPropertyName(left.property, left.computed), right);
+      }
+    }
+  }
+
+  return exported;
+}
+
+function parseModule(filePath, text) {
+  const linter = new Linter({ configType: 'eslintrc' });
+  let parsed = null;
+
+  linter.defineRule('module-summary', {
+    create(context) {
+      const recorder = createCodePathRecorder();
+      return {
+        ...recorder.listeners,
+        'Program:exit'() {
+          const sourceCode = context.sourceCode || context.getSourceCode();
+          parsed = { filePath, sourceCode, recorder, exported: getExportedFunctions(sourceCode), summaries: new Map() };
+        },
+      };
+    },
+  });
+
+  // A fatal parse error skips the rule; CommonJS may not parse as a module
+  for (const sourceType of ['module', 'script']) {
+    linter.verify(text, {
+      parserOptions: { ecmaVersion: 'latest', sourceType },
+      rules: { 'module-summary': 'error' },
+    }, { filename: filePath });
+    if (parsed) break;
+  }
+
+  return parsed;
+}
+
+// The cache entry for the module's current content, null when it cannot be read
+function getModuleEntry(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+
+  // Identical files at different paths resolve their imports differently,
+  // so they never share an entry
+  const hash = crypto.createHash('sha1').update(text).digest('hex');
+  const cached = moduleCache.get(filePath);
+  if (!cached || cached.hash !== hash) {
+    moduleCache.set(filePath, { hash, parsed: parseModule(filePath, text) });
+  }
+  return moduleCache.get(filePath);
+}
+
+function loadModule(filePath) {
+  const entry = getModuleEntry(filePath);
+  if (!entry) return null;
+
+  recordDependencies(new Map([[filePath, entry.hash]]));
+  return entry.parsed;
+}
+
+// Whether every module a summary was computed from is unchanged
+function isCurrent(dependencies) {
+  return [...dependencies].every(([filePath, hash]) => {
+    const entry = getModuleEntry(filePath);
+    return Boolean(entry) && entry.hash === hash;
+  });
+}
+
+// `require('./utils')`
+function getRequiredSpecifier(node) {
+  return (
+    node &&
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'Literal'
+  ) ? node.arguments[0].value : null;
+}
+
+/**
+ * Finds the module and export an identifier is bound to by an import or a
+ * `require()` call.
+ * @param {Variable} variable The identifier's variable.
+ * @returns {object|null} `{ specifier, name }`, where `name` is `'*'` for the
+ *   whole module object.
+ */
+function getImportBinding(variable) {
+  if (variable.defs.length !== 1) return null;
+  const [def] = variable.defs;
+
+  if (def.type === 'ImportBinding') {
+    const specifier = def.parent.source.value;
+    if (def.node.type === 'ImportNamespaceSpecifier') return { specifier, name: '*' };
+    if (def.node.type === 'ImportDefaultSpecifier') return { specifier, name: 'default' };
+    return { specifier, name: getPropertyName(def.node.imported, false) };
+  }
+
+  if (def.type !== 'Variable' || variable.references.some(reference => (
+    reference.isWrite() && reference.identifier !== def.name
+  ))) {
+    return null;
+  }
+
+  const specifier = getRequiredSpecifier(def.node.init);
+  if (specifier === null) return null;
+  if (def.node.id === def.name) return { specifier, name: 'default' };
+
+  // `const { handle: run } = require('./utils')`
+  const property = def.node.id.type === 'ObjectPattern' && def.node.id.properties.find(candidate => (
+    candidate.type === 'Property' && candidate.value === def.name
+  ));
+  return property ? { specifier, name: getPropertyName(property.key, property.computed) } : null;
+}
+
+/**
+ * Creates the summary lookup for a linted file.
+ * @param {SourceCode} sourceCode The linted file's source code.
+ * @param {string} filename Path of the linted file.
+ * @param {object} options Rule options; the summaries depend on the handoff
+ *   options, which are part of the cache key.
+ * @returns {object} `{ getCounts(callNode, positions) }`, returning the
+ *   settle counts of a call to an imported function with resolvers at the
+ *   given argument positions, or null when the callee is not an imported
+ *   function that can be read.
+ */
+function createModuleSummaries(sourceCode, filename, options) {
+  const referenceIndex = getReferenceIndex(sourceCode.scopeManager);
+  const optionsKey = JSON.stringify([
+    options.guaranteedHandoffs,
+    options.otherHandoffs,
+    options.helperDepth,
+    options.terminatingCalls,
+    options.repeatingEvents,
+    options.callbackApis,
+  ]);
+
+  function resolveCallee(callee) {
+    let identifier = callee;
+    let member = null;
+    if (callee.type === 'MemberExpression') {
+      identifier = callee.object;
+      member = getPropertyName(callee.property, callee.computed);
+      if (member === null) return null;
+    }
+    if (identifier.type !== 'Identifier') return null;
+
+    const reference = referenceIndex.get(identifier);
+    const binding = reference && reference.resolved ? getImportBinding(reference.resolved) : null;
+    if (!binding) return null;
+
+    // `utils.handle()` on a namespace import or a required module object
+    if (member !== null) {
+      return binding.name === '*' || binding.name === 'default' ? { specifier: binding.specifier, name: member } : null;
+    }
+    return binding.name === '*' ? null : binding;
+  }
+
+  // The summary and the modules it depends on count as read by any summary
+  // being computed
+  function getSummary(module, name, positions) {
+    const key = `${name}(${positions.join(',')})${optionsKey}`;
+    const cached = module.summaries.get(key);
+    if (cached && isCurrent(cached.dependencies)) {
+      recordDependencies(cached.dependencies);
+      return cached.summary;
+    }
+
+    const functionNode = module.exported.get(name);
+    const pendingKey = `${module.filePath}#${key}`;
+    if (!functionNode || pending.has(pendingKey)) return null;
+
+    const dependencies = new Map();
+    pending.add(pendingKey);
+    collecting.push(dependencies);
+    try {
+      const summaries = createModuleSummaries(module.sourceCode, module.filePath, options);
+      const { counts, repeats } = getFunctionSettleCounts(
+        module.recorder,
+        module.sourceCode,
+        functionNode,
+        positions,
+        options,
+        summaries
+      );
+      module.summaries.set(key, { summary: describeCounts(counts, repeats), dependencies });
+    } finally {
+      collecting.pop();
+      pending.delete(pendingKey);
+    }
+    recordDependencies(dependencies);
+    return module.summaries.get(key).summary;
+  }
+
+  return {
+    getCounts(callNode, positions) {
+      const target = resolveCallee(callNode.callee);
+      const filePath = target && resolveModulePath(filename, target.specifier);
+      const module = filePath && loadModule(filePath);
+      if (!module) return null;
+
+      const summary = getSummary(module, target.name, positions);
+      return summary ? SUMMARY_COUNTS[summary] : null;
+    },
+  };
+}
+
+module.exports = {
+  describeCounts,
+  getExportedFunctions,
+  createModuleSummaries,
+};
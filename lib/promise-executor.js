@@ -0,0 +1,238 @@
+const { getCalleePath } = require('./handoffs');
+const { getReferenceIndex } = require('./resolver-references');
+const { isFunction } = require('./code-path-recorder');
+const { getFunctionBinding } = require('./local-functions');
+
+const DEFAULT_PROMISE_CONSTRUCTORS = [
+  'Promise',
+  'globalThis.Promise',
+  'window.Promise',
+  'global.Promise',
+  'self.Promise',
+];
+
+// Modules whose default export or `Promise` export is a Promise constructor
+const DEFAULT_PROMISE_MODULES = [
+  'bluebird',
+  'es6-promise',
+  'promise',
+  'pinkie-promise',
+  'native-promise-only',
+  'q',
+];
+
+function isRequireCall(node, modules) {
+  return (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'Literal' &&
+    modules.includes(node.arguments[0].value)
+  );
+}
+
+function getPropertyName(property) {
+  if (property.type !== 'Property' || property.computed) return null;
+  return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+}
+
+/**
+ * Creates a matcher for `new` expressions constructing a Promise: a
+ * configured name or member path (`Promise`, `globalThis.Promise`), a
+ * variable bound once to a Promise module (`const P = require('bluebird')`,
+ * `import { Promise as P } from 'es6-promise'`) or to another constructor,
+ * and classes extending one (`class Task extends Promise`).
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {object} options Rule options (`promiseConstructors`, `promiseModules`).
+ * @returns {Function} `(newExpression) => boolean`.
+ */
+function createPromiseConstructorMatcher(sourceCode, options) {
+  const constructors = options.promiseConstructors || DEFAULT_PROMISE_CONSTRUCTORS;
+  const modules = options.promiseModules || DEFAULT_PROMISE_MODULES;
+  const referenceIndex = getReferenceIndex(sourceCode.scopeManager);
+  const variableResults = new Map();
+
+  function getVariable(identifier) {
+    const reference = referenceIndex.get(identifier);
+    return reference ? reference.resolved : null;
+  }
+
+  // Whether the only write to the variable is its declaration
+  function isBoundOnce(variable, def) {
+    return variable.defs.length === 1 && variable.references.every(reference => (
+      !reference.isWrite() || reference.identifier === def.name
+    ));
+  }
+
+  // A module object: `require('q')` or a variable bound to one
+  function isModuleValue(node) {
+    if (isRequireCall(node, modules)) return true;
+    if (node.type !== 'Identifier') return false;
+
+    const variable = getVariable(node);
+    if (!variable || variable.defs.length !== 1) return false;
+
+    const [def] = variable.defs;
+    if (def.type === 'ImportBinding') {
+      return def.node.type !== 'ImportSpecifier' && modules.includes(def.parent.source.value);
+    }
+    return (
+      def.type === 'Variable' &&
+      def.node.id === def.name &&
+      Boolean(def.node.init) &&
+      isBoundOnce(variable, def) &&
+      isRequireCall(def.node.init, modules)
+    );
+  }
+
+  function isPromiseVariable(variable) {
+    if (variableResults.has(variable)) {
+      return variableResults.get(variable);
+    }
+
+    // A cyclic alias is not a constructor
+    variableResults.set(variable, false);
+    variableResults.set(variable, checkVariable(variable));
+    return variableResults.get(variable);
+  }
+
+  function checkVariable(variable) {
+    if (variable.defs.length !== 1) return false;
+    const [def] = variable.defs;
+
+    if (def.type === 'ClassName') {
+      return Boolean(def.node.superClass) && isPromiseExpression(def.node.superClass);
+    }
+
+    if (def.type === 'ImportBinding') {
+      if (!modules.includes(def.parent.source.value)) return false;
+      if (def.node.type === 'ImportDefaultSpecifier') return true;
+      return def.node.type === 'ImportSpecifier' && ['Promise', 'default'].includes(def.node.imported.name);
+    }
+
+    if (def.type !== 'Variable' || !def.node.init || !isBoundOnce(variable, def)) {
+      return false;
+    }
+
+    if (def.node.id === def.name) {
+      return isPromiseExpression(def.node.init);
+    }
+
+    // `const { Promise: P } = require('es6-promise')`
+    return (
+      def.node.id.type === 'ObjectPattern' &&
+      isModuleValue(def.node.init) &&
+      def.node.id.properties.some(property => (
+        property.value === def.name && getPropertyName(property) === 'Promise'
+      ))
+    );
+  }
+
+  function isPromiseExpression(node) {
+    if (node.type === 'Identifier') {
+      if (constructors.includes(node.name)) return true;
+
+      const variable = getVariable(node);
+      return Boolean(variable) && isPromiseVariable(variable);
+    }
+
+    if (node.type === 'MemberExpression') {
+      const path = getCalleePath(node);
+      if (path && constructors.includes(path)) return true;
+
+      return (
+        !node.computed &&
+        node.property.type === 'Identifier' &&
+        node.property.name === 'Promise' &&
+        isModuleValue(node.object)
+      );
+    }
+
+    if (node.type === 'ClassExpression') {
+      return Boolean(node.superClass) && isPromiseExpression(node.superClass);
+    }
+
+    return isRequireCall(node, modules);
+  }
+
+  return node => node.type === 'NewExpression' && isPromiseExpression(node.callee);
+}
+
+// `this.run` inside a method of the class declaring `run`
+function getThisMethod(node) {
+  if (
+    node.object.type !== 'ThisExpression' ||
+    node.computed ||
+    node.property.type !== 'Identifier'
+  ) {
+    return null;
+  }
+
+  let current = node.parent;
+  while (current && (!isFunction(current) || current.type === 'ArrowFunctionExpression')) {
+    current = current.parent;
+  }
+  if (!current || current.parent.type !== 'MethodDefinition') return null;
+
+  const method = current.parent.parent.body.find(member => (
+    member.type === 'MethodDefinition' &&
+    member.kind === 'method' &&
+    member.static === current.parent.static &&
+    !member.computed &&
+    member.key.type === 'Identifier' &&
+    member.key.name === node.property.name
+  ));
+  return method ? method.value : null;
+}
+
+function resolveFunction(node, referenceIndex) {
+  if (isFunction(node)) {
+    return node;
+  }
+
+  if (node.type === 'Identifier') {
+    const reference = referenceIndex.get(node);
+    return reference && reference.resolved ? getFunctionBinding(reference.resolved) : null;
+  }
+
+  if (node.type === 'MemberExpression') {
+    return getThisMethod(node);
+  }
+
+  // `fn.bind(thisArg)` keeps the parameters; bound arguments would shift them
+  if (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    !node.callee.computed &&
+    node.callee.property.type === 'Identifier' &&
+    node.callee.property.name === 'bind' &&
+    node.arguments.length <= 1
+  ) {
+    return resolveFunction(node.callee.object, referenceIndex);
+  }
+
+  return null;
+}
+
+/**
+ * Finds the executor a Promise is constructed with: an inline function, or a
+ * function declared in the same file and passed by name (`new
+ * Promise(executor)`), as a method (`this.run`) or through `.bind(thisArg)`.
+ * @param {ASTNode} node The `new Promise(...)` expression.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @returns {ASTNode|null} The executor function, null when it cannot be
+ *   resolved.
+ */
+function getExecutorFunction(node, sourceCode) {
+  if (node.arguments.length === 0) return null;
+
+  return resolveFunction(node.arguments[0], getReferenceIndex(sourceCode.scopeManager));
+}
+
+module.exports = {
+  DEFAULT_PROMISE_CONSTRUCTORS,
+  DEFAULT_PROMISE_MODULES,
+  createPromiseConstructorMatcher,
+  getExecutorFunction,
+};
@@ -0,0 +1,475 @@
+/**
+ * Follows the variables holding an executor's `resolve`/`reject` through the
+ * scope manager, so calls are matched by the variable they reference rather
+ * than by name. Shadowing declarations are different variables and never
+ * match; simple aliases (`const done = resolve`, `[ok, fail] = [resolve, reject]`,
+ * `const done = resolve.bind(null)`) are followed as long as nothing else is
+ * ever written to them. Indirect calls (`resolve.call(null, value)`,
+ * `(0, resolve)(value)`, ...) count as calls.
+ */
+
+const { getCalleePath } = require('./handoffs');
+
+const referenceIndexes = new WeakMap();
+
+// Maps every referencing Identifier in the file to its scope Reference
+function getReferenceIndex(scopeManager) {
+  if (!referenceIndexes.has(scopeManager)) {
+    const index = new Map();
+    for (const scope of scopeManager.scopes) {
+      for (const reference of scope.references) {
+        index.set(reference.identifier, reference);
+      }
+    }
+    referenceIndexes.set(scopeManager, index);
+  }
+  return referenceIndexes.get(scopeManager);
+}
+
+function getPropertyKey(property) {
+  if (property.type !== 'Property' || property.computed) return null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'Literal') return String(property.key.value);
+  return null;
+}
+
+// `fn.name` for a non-computed property or a string literal key
+function isMethod(member, name) {
+  return (
+    member.type === 'MemberExpression' &&
+    (member.computed
+      ? member.property.type === 'Literal' && member.property.value === name
+      : member.property.name === name)
+  );
+}
+
+/**
+ * Finds the largest expression around a resolver reference that evaluates
+ * to the same function: `(0, resolve)`, `[resolve][0]` and
+ * `resolve.bind(thisArg, ...args)`, which settles just the same.
+ * @param {ASTNode} node An expression evaluating to a resolver.
+ * @returns {ASTNode} The outermost equivalent expression.
+ */
+function getEquivalentExpression(node) {
+  let current = node;
+
+  for (;;) {
+    const parent = current.parent;
+
+    if (parent.type === 'SequenceExpression' && parent.expressions[parent.expressions.length - 1] === current) {
+      current = parent;
+    } else if (
+      parent.type === 'ArrayExpression' &&
+      parent.parent.type === 'MemberExpression' &&
+      parent.parent.object === parent &&
+      parent.parent.computed &&
+      parent.parent.property.type === 'Literal' &&
+      parent.elements.indexOf(current) === parent.parent.property.value &&
+      !parent.elements.some(element => element && element.type === 'SpreadElement')
+    ) {
+      current = parent.parent;
+    } else if (
+      parent.type === 'MemberExpression' &&
+      parent.object === current &&
+      isMethod(parent, 'bind') &&
+      parent.parent.type === 'CallExpression' &&
+      parent.parent.callee === parent
+    ) {
+      current = parent.parent;
+    } else {
+      return current;
+    }
+  }
+}
+
+/**
+ * Finds the call that invokes a resolver expression: a direct call,
+ * `resolve.call(thisArg, value)`, `resolve.apply(thisArg, [value])` or
+ * `Reflect.apply(resolve, thisArg, [value])`.
+ * @param {ASTNode} node The outermost expression evaluating to a resolver.
+ * @returns {ASTNode|null} The invoking CallExpression.
+ */
+function getInvokingCall(node) {
+  const parent = node.parent;
+
+  if (parent.type === 'CallExpression' && parent.callee === node) {
+    return parent;
+  }
+
+  if (
+    parent.type === 'MemberExpression' &&
+    parent.object === node &&
+    (isMethod(parent, 'call') || isMethod(parent, 'apply')) &&
+    parent.parent.type === 'CallExpression' &&
+    parent.parent.callee === parent
+  ) {
+    return parent.parent;
+  }
+
+  if (
+    parent.type === 'CallExpression' &&
+    parent.arguments[0] === node &&
+    getCalleePath(parent.callee) === 'Reflect.apply'
+  ) {
+    return parent;
+  }
+
+  return null;
+}
+
+/**
+ * Finds the Identifier a value ends up in when it is stored by a declaration
+ * or assignment, looking through array and object literals destructured on
+ * the left-hand side.
+ * @param {ASTNode} node The value being stored.
+ * @returns {ASTNode|null} The target Identifier, if it is a plain alias.
+ */
+function getAliasTarget(node) {
+  const steps = [];
+  let current = node;
+
+  while (current.parent) {
+    const parent = current.parent;
+
+    if (parent.type === 'ArrayExpression') {
+      const index = parent.elements.indexOf(current);
+      if (parent.elements.slice(0, index).some(element => element && element.type === 'SpreadElement')) {
+        return null;
+      }
+      steps.unshift(index);
+      current = parent;
+    } else if (parent.type === 'Property' && parent.value === current && parent.parent.type === 'ObjectExpression') {
+      const key = getPropertyKey(parent);
+      if (key === null) return null;
+      steps.unshift(key);
+      current = parent.parent;
+    } else {
+      break;
+    }
+  }
+
+  const parent = current.parent;
+  let target;
+  if (parent.type === 'VariableDeclarator' && parent.init === current) {
+    target = parent.id;
+  } else if (parent.type === 'AssignmentExpression' && parent.operator === '=' && parent.right === current) {
+    target = parent.left;
+  } else {
+    return null;
+  }
+
+  for (const step of steps) {
+    if (target.type === 'AssignmentPattern') {
+      target = target.left;
+    }
+
+    if (typeof step === 'number' && target.type === 'ArrayPattern') {
+      target = target.elements[step];
+    } else if (typeof step === 'string' && target.type === 'ObjectPattern') {
+      const property = target.properties.find(prop => getPropertyKey(prop) === step);
+      target = property ? property.value : null;
+    } else {
+      return null;
+    }
+
+    if (!target) return null;
+  }
+
+  if (target.type === 'AssignmentPattern') {
+    target = target.left;
+  }
+
+  return target.type === 'Identifier' ? target : null;
+}
+
+// Binds positions `offset`, `offset + 1`, ... of the executor's arguments to
+// the patterns receiving them; a nested array pattern only ever comes from a
+// rest element, whose array holds the arguments themselves
+function collectBindings(elements, offset, bindings) {
+  elements.forEach((element, i) => {
+    const position = offset + i;
+    if (!element || position >= bindings.length) return;
+
+    // A default never applies to a position the caller passes
+    const target = element.type === 'AssignmentPattern' ? element.left : element;
+    if (target.type === 'Identifier') {
+      bindings[position] = { identifier: target, index: null };
+    } else if (target.type === 'RestElement' && target.argument.type === 'Identifier') {
+      for (let rest = position; rest < bindings.length; rest++) {
+        bindings[rest] = { identifier: target.argument, index: rest - position };
+      }
+    } else if (target.type === 'RestElement' && target.argument.type === 'ArrayPattern') {
+      collectBindings(target.argument.elements, position, bindings);
+    }
+  });
+}
+
+/**
+ * Finds where the executor receives its resolve and reject functions: a
+ * plain or defaulted parameter (`resolve = noop`), an element of a rest
+ * parameter (`...args` holds them as `args[0]` and `args[1]`) or of a
+ * destructured one (`...[resolve, reject]`). An array or object pattern in
+ * place of a parameter destructures the function itself and binds neither.
+ * @param {ASTNode} executorFn The executor function.
+ * @returns {object} `{ resolve, reject }`, each `{ identifier, index }` with
+ *   `index` null for a plain binding and the element index for a rest array,
+ *   or null when the function cannot be reached.
+ */
+function getResolverBindings(executorFn) {
+  const bindings = [null, null];
+  collectBindings(executorFn.params, 0, bindings);
+  return { resolve: bindings[0], reject: bindings[1] };
+}
+
+/**
+ * @param {object|null} binding A binding from `getResolverBindings()`.
+ * @returns {string|null} Source text that calls the function, such as
+ *   `reject` or `args[1]`.
+ */
+function getResolverName(binding) {
+  if (!binding) return null;
+  const { name } = binding.identifier;
+  return binding.index === null ? name : `${name}[${binding.index}]`;
+}
+
+/**
+ * @param {ASTNode} functionNode A function.
+ * @param {number} count Number of arguments passed.
+ * @returns {Array} The binding (see `getResolverBindings()`) receiving each
+ *   argument, or null.
+ */
+function getParameterBindings(functionNode, count) {
+  const bindings = new Array(count).fill(null);
+  collectBindings(functionNode.params, 0, bindings);
+  return bindings;
+}
+
+/**
+ * Maps the arguments of a call to the bindings of the called function's
+ * parameters that receive them.
+ * @param {ASTNode} functionNode The called function.
+ * @param {ASTNode} callNode The call.
+ * @returns {Array} One binding (see `getResolverBindings()`) or null per
+ *   argument; arguments after a spread bind nothing.
+ */
+function getArgumentBindings(functionNode, callNode) {
+  const bindings = getParameterBindings(functionNode, callNode.arguments.length);
+
+  const spread = callNode.arguments.findIndex(argument => argument.type === 'SpreadElement');
+  return spread === -1 ? bindings : bindings.map((binding, index) => (index < spread ? binding : null));
+}
+
+// `args[1]` for a rest array, returning the element index
+function getElementIndex(identifier) {
+  const parent = identifier.parent;
+  if (
+    parent.type === 'MemberExpression' &&
+    parent.object === identifier &&
+    parent.computed &&
+    parent.property.type === 'Literal' &&
+    Number.isInteger(parent.property.value)
+  ) {
+    return parent.property.value;
+  }
+  return null;
+}
+
+// `const [done, fail] = args` destructures a rest array into aliases
+function getDestructuredElements(identifier) {
+  const parent = identifier.parent;
+  let target = null;
+  if (parent.type === 'VariableDeclarator' && parent.init === identifier) {
+    target = parent.id;
+  } else if (parent.type === 'AssignmentExpression' && parent.operator === '=' && parent.right === identifier) {
+    target = parent.left;
+  }
+  if (!target || target.type !== 'ArrayPattern') return [];
+
+  const elements = [];
+  for (const [index, element] of target.elements.entries()) {
+    if (element && element.type === 'RestElement') break;
+    const alias = element && element.type === 'AssignmentPattern' ? element.left : element;
+    if (alias && alias.type === 'Identifier') {
+      elements.push({ alias, index });
+    }
+  }
+  return elements;
+}
+
+/**
+ * Collects the calls that invoke resolve or reject functions a function
+ * receives as parameters, and the calls the functions are handed to as
+ * arguments.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {ASTNode} functionNode The function receiving the resolvers.
+ * @param {Array} bindings `[binding, kind]` pairs: a binding from
+ *   `getResolverBindings()` and the `'resolve'`, `'reject'` or `'either'`
+ *   function it holds.
+ * @returns {object} `{ calls, handoffs, references }`: `calls` and
+ *   `handoffs` map CallExpressions to `'resolve'`, `'reject'` or `'either'`
+ *   for aliases holding one or the other, `references` maps every node
+ *   reading a resolver the same way.
+ */
+function findParameterUses(sourceCode, functionNode, bindings) {
+  const { scopeManager } = sourceCode;
+  const referenceIndex = getReferenceIndex(scopeManager);
+  const declared = scopeManager.getDeclaredVariables(functionNode);
+  const tracked = new Map();
+
+  function track(variable, kind, source, aliasWrite) {
+    if (!tracked.has(variable)) {
+      tracked.set(variable, { kinds: new Set(), sources: new Set(), aliasWrites: new Set() });
+    }
+
+    const info = tracked.get(variable);
+    const isNew = !info.kinds.has(kind);
+    info.kinds.add(kind);
+    if (source) info.sources.add(source);
+    if (aliasWrite) info.aliasWrites.add(aliasWrite);
+    if (!isNew) return;
+
+    for (const reference of variable.references) {
+      if (!reference.isRead()) continue;
+
+      const target = getAliasTarget(getEquivalentExpression(reference.identifier));
+      const targetReference = target && referenceIndex.get(target);
+      if (targetReference && targetReference.resolved) {
+        track(targetReference.resolved, kind, variable, target);
+      }
+    }
+  }
+
+  // Rest arrays holding the resolvers, mapped to the kind at each index
+  const restArrays = new Map();
+
+  bindings.forEach(([binding, kind]) => {
+    const variable = binding && declared.find(candidate => candidate.identifiers.includes(binding.identifier));
+    if (!variable) return;
+
+    // The default of `resolve = noop` writes the parameter, never with
+    // anything but the resolver
+    if (binding.index === null) {
+      track(variable, kind, null, binding.identifier);
+    } else {
+      if (!restArrays.has(variable)) restArrays.set(variable, new Map());
+      restArrays.get(variable).set(binding.index, kind);
+    }
+  });
+
+  // Aliases taken from a rest array: `const done = args[0]`,
+  // `const [done, fail] = args`
+  for (const [variable, kinds] of restArrays) {
+    for (const reference of variable.references) {
+      if (!reference.isRead()) continue;
+
+      const { identifier } = reference;
+      const index = getElementIndex(identifier);
+      const elements = index === null
+        ? getDestructuredElements(identifier)
+        : [{ alias: getAliasTarget(getEquivalentExpression(identifier.parent)), index }];
+
+      for (const { alias, index: elementIndex } of elements) {
+        const aliasReference = alias && referenceIndex.get(alias);
+        if (aliasReference && aliasReference.resolved && kinds.has(elementIndex)) {
+          track(aliasReference.resolved, kinds.get(elementIndex), variable, alias);
+        }
+      }
+    }
+  }
+
+  // A rest array that is reassigned, or has elements replaced, may no
+  // longer hold the resolvers
+  for (const variable of restArrays.keys()) {
+    const isModified = variable.references.some(reference => {
+      const member = reference.identifier.parent;
+      return reference.isWrite() || (
+        getElementIndex(reference.identifier) !== null &&
+        member.parent.type === 'AssignmentExpression' &&
+        member.parent.left === member
+      );
+    });
+    if (isModified) {
+      restArrays.delete(variable);
+    }
+  }
+
+  // Drop variables that may hold something else: anything written to them
+  // that is not an alias of a resolver still in the set, or a function
+  // declaration that replaces the parameter in the executor body
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [variable, info] of tracked) {
+      const hasOtherWrites = variable.references.some(reference => (
+        reference.isWrite() && !info.aliasWrites.has(reference.identifier)
+      ));
+      const isRedeclared = variable.defs.some(def => def.type === 'FunctionName' || def.type === 'ClassName');
+      const lostSource = [...info.sources].some(source => !tracked.has(source) && !restArrays.has(source));
+
+      if (hasOtherWrites || isRedeclared || lostSource) {
+        tracked.delete(variable);
+        changed = true;
+      }
+    }
+  }
+
+  const calls = new Map();
+  const handoffs = new Map();
+  const references = new Map();
+
+  // `node` is an Identifier or a rest array element holding a resolver
+  function addUse(node, kind) {
+    const value = getEquivalentExpression(node);
+    const parent = value.parent;
+    const invokingCall = getInvokingCall(value);
+    references.set(value, kind);
+
+    if (invokingCall) {
+      calls.set(invokingCall, kind);
+    } else if (parent.type === 'CallExpression' && parent.arguments.includes(value)) {
+      handoffs.set(parent, handoffs.has(parent) && handoffs.get(parent) !== kind ? 'either' : kind);
+    }
+  }
+
+  for (const [variable, info] of tracked) {
+    const kind = info.kinds.size === 1 ? [...info.kinds][0] : 'either';
+
+    for (const reference of variable.references) {
+      if (reference.isRead()) {
+        addUse(reference.identifier, kind);
+      }
+    }
+  }
+
+  for (const [variable, kinds] of restArrays) {
+    for (const reference of variable.references) {
+      const index = getElementIndex(reference.identifier);
+      if (reference.isRead() && kinds.has(index)) {
+        addUse(reference.identifier.parent, kinds.get(index));
+      }
+    }
+  }
+
+  return { calls, handoffs, references };
+}
+
+/**
+ * Collects the uses of the executor's own resolve and reject parameters.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {ASTNode} executorFn The executor function.
+ * @returns {object} See `findParameterUses()`.
+ */
+function findResolverUses(sourceCode, executorFn) {
+  const { resolve, reject } = getResolverBindings(executorFn);
+  return findParameterUses(sourceCode, executorFn, [[resolve, 'resolve'], [reject, 'reject']]);
+}
+
+module.exports = {
+  getReferenceIndex,
+  getResolverBindings,
+  getResolverName,
+  getParameterBindings,
+  getArgumentBindings,
+  findParameterUses,
+  findResolverUses,
+};
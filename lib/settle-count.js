@@ -0,0 +1,676 @@
+/**
+ * Dataflow over the "settle count" of a recorded function.
+ *
+ * The state of a segment is the set of counts the promise may have been
+ * settled with when control reaches it, drawn from the lattice
+ * 0 / 1 / many and stored as a bitmask. States only ever grow, so the
+ * worklist visits each segment a bounded number of times and the cost is
+ * linear in the size of the function.
+ */
+
+const { isFunction } = require('./code-path-recorder');
+const { ITERATION_METHODS, matchesHandoff, getOutermostChainCall } = require('./handoffs');
+const { getCallbackCount } = require('./callback-apis');
+const { isInside, isCallArgument } = require('./ast-helpers');
+const { isRepeatingHandler } = require('./event-listeners');
+
+const ZERO = 1;
+const ONE = 2;
+const MANY = 4;
+
+// Calls that end the process, so nothing after them runs
+const DEFAULT_TERMINATING_CALLS = ['process.exit', 'process.abort'];
+
+/**
+ * Adds `counts` settles to every count in `state`.
+ * @param {number} state Bitmask of possible counts.
+ * @param {number} counts Bitmask of counts to add.
+ * @returns {number} Bitmask of possible sums, saturating at many.
+ */
+function addCounts(state, counts) {
+  let result = 0;
+
+  if (counts & ZERO) result |= state;
+  if (counts & ONE) {
+    if (state & ZERO) result |= ONE;
+    if (state & (ONE | MANY)) result |= MANY;
+  }
+  if (counts & MANY && state) result |= MANY;
+
+  return result;
+}
+
+/**
+ * Adds the counts of a settle that may run again, such as one inside a loop
+ * body. The repetition is reported on its own, so the settle adds at most
+ * one to the counts already on the path.
+ * @param {number} state Bitmask of possible counts.
+ * @param {number} counts Bitmask of counts one run of the settle adds.
+ * @returns {number} Bitmask of possible sums.
+ */
+function addRepeatedCounts(state, counts) {
+  let result = counts & ZERO ? state : 0;
+
+  if (counts & (ONE | MANY)) {
+    if (state & ZERO) result |= ONE;
+    result |= state & (ONE | MANY);
+  }
+
+  return result;
+}
+
+/**
+ * Finds the segments that lie on a cycle, with Tarjan's strongly connected
+ * components algorithm (iterative, so long functions cannot overflow the stack).
+ * @param {CodePathSegment} initialSegment The code path's initial segment.
+ * @returns {Set<CodePathSegment>} Segments control can come back to.
+ */
+function getCyclicSegments(initialSegment) {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cyclic = new Set();
+  const frames = [];
+
+  function visit(segment) {
+    indexes.set(segment, indexes.size);
+    lowLinks.set(segment, indexes.get(segment));
+    stack.push(segment);
+    onStack.add(segment);
+    frames.push({ segment, next: 0 });
+  }
+
+  visit(initialSegment);
+  while (frames.length > 0) {
+    const frame = frames[frames.length - 1];
+    const { segment } = frame;
+
+    if (frame.next < segment.nextSegments.length) {
+      const successor = segment.nextSegments[frame.next++];
+      if (!indexes.has(successor)) {
+        visit(successor);
+      } else if (onStack.has(successor)) {
+        lowLinks.set(segment, Math.min(lowLinks.get(segment), indexes.get(successor)));
+      }
+      continue;
+    }
+
+    frames.pop();
+    if (frames.length > 0) {
+      const parent = frames[frames.length - 1].segment;
+      lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(segment)));
+    }
+
+    if (lowLinks.get(segment) === indexes.get(segment)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== segment);
+
+      if (component.length > 1 || segment.nextSegments.includes(segment)) {
+        component.forEach(cyclicSegment => cyclic.add(cyclicSegment));
+      }
+    }
+  }
+
+  return cyclic;
+}
+
+/**
+ * Finds the settling calls another settle of the same function can still run
+ * after. Entering a `catch` clause takes a throw, which a `return` after the
+ * settle would not prevent, so paths into one are not followed.
+ * @param {Map} segments The function's recorded segments.
+ * @param {Iterable<CodePathSegment>} reachedSegments Segments the dataflow reached.
+ * @param {Set<ASTNode>} settleCalls Calls that may settle.
+ * @returns {Set<ASTNode>} Settling calls followed by another settle.
+ */
+function getFollowedSettles(segments, reachedSegments, settleCalls) {
+  const settlesBySegment = new Map();
+  for (const segment of reachedSegments) {
+    const calls = segments.get(segment.id).events
+      .filter(event => event.type === 'call' && settleCalls.has(event.node))
+      .map(event => event.node);
+    if (calls.length > 0) {
+      settlesBySegment.set(segment, calls);
+    }
+  }
+
+  // Walk back from every settle to the segments that lead to it
+  const reachesSettle = new Set();
+  const pending = [...settlesBySegment.keys()];
+  const expanded = new Set(pending);
+  while (pending.length > 0) {
+    const segment = pending.pop();
+    if (segments.get(segment.id).startNode.type === 'CatchClause') continue;
+
+    for (const prev of segment.prevSegments) {
+      reachesSettle.add(prev);
+      if (!expanded.has(prev)) {
+        expanded.add(prev);
+        pending.push(prev);
+      }
+    }
+  }
+
+  const followed = new Set();
+  for (const [segment, calls] of settlesBySegment) {
+    calls.forEach((callNode, index) => {
+      if (index < calls.length - 1 || reachesSettle.has(segment)) {
+        followed.add(callNode);
+      }
+    });
+  }
+  return followed;
+}
+
+/**
+ * Finds the `return`, `throw`, `break` or `continue` that ended the reachable
+ * code before an unreachable segment.
+ * @param {Map} segments The function's recorded segments.
+ * @param {CodePathSegment} segment An unreachable segment.
+ * @returns {ASTNode|null} The closest such statement, if any.
+ */
+function findJump(segments, segment) {
+  const visited = new Set([segment]);
+  const pending = [segment];
+  let jump = null;
+
+  while (pending.length > 0) {
+    for (const prev of pending.pop().allPrevSegments) {
+      if (visited.has(prev)) continue;
+      visited.add(prev);
+
+      if (!prev.reachable) {
+        pending.push(prev);
+        continue;
+      }
+
+      const jumps = segments.get(prev.id).events
+        .filter(event => event.type === 'return' || event.type === 'jump');
+      const last = jumps[jumps.length - 1];
+      if (last && (!jump || last.node.range[0] > jump.range[0])) {
+        jump = last.node;
+      }
+    }
+  }
+
+  return jump;
+}
+
+/**
+ * Finds the `try` statement whose `catch` clause receives an exception thrown
+ * at a node: the innermost one with a handler whose block holds the node,
+ * without leaving the function.
+ * @param {ASTNode} node A call, `new` or `await` expression, or a `throw`
+ *   statement.
+ * @param {ASTNode} functionNode The function the node runs in.
+ * @returns {ASTNode|null} The TryStatement, null when the exception leaves
+ *   the function.
+ */
+function getCatchingTry(node, functionNode) {
+  let current = node;
+  while (current !== functionNode && current.parent && !isFunction(current)) {
+    const parent = current.parent;
+    if (parent.type === 'TryStatement' && parent.block === current && parent.handler) {
+      return parent;
+    }
+    current = parent;
+  }
+  return null;
+}
+
+// Two handoffs to the same call settle for sure if either one does
+function mergeHandoffs(a, b) {
+  return a === ONE || b === ONE ? ONE : a | b;
+}
+
+/**
+ * Creates the settle-count analysis of one executor.
+ *
+ * A settle that may run again (in a segment on a loop, or in a callback
+ * handed to `forEach`/`map`) is recorded as a repeated settle and adds at
+ * most one to the count, so the repetition is reported once, where it
+ * happens. A settle followed by `break` or `return` leaves the loop and is
+ * counted as usual. A `catch` clause starts from the states its `try`
+ * block may throw in. Nothing runs after a terminating call: one of
+ * `terminatingCalls`, or a call to a same-file function that always throws,
+ * which also throws into the enclosing `catch` clause.
+ *
+ * Nested functions come in two kinds. A local function that is only ever
+ * called (a function declaration, a `const` bound function or an IIFE) runs
+ * synchronously, so each call adds the counts of its exits. Any other nested
+ * function is a deferred callback: it is analyzed as its own unit, and the
+ * outer path counts it as settlement handed off once, at the call it is
+ * passed to, inline or by name (or where it is created, when it is not
+ * passed to a call).
+ *
+ * @param {object} recorder The rule's code path recorder.
+ * @param {ASTNode} root The executor; functions outside it are never inlined.
+ * @param {Map<ASTNode, number>} settleSites Settle counts each settling call adds.
+ * @param {object} localFunctions Index from `getLocalFunctionIndex()`.
+ * @param {object} [options] Rule options: `terminatingCalls` names the calls
+ *   that never return (`process.exit`), and a callback passed to an API that
+ *   may never call it (see `getCallbackCount()`) may not settle.
+ * @param {Map<ASTNode, number>} [listenerCounts] Settle counts replacing
+ *   those of a call chain, callbacks included: an event listener group
+ *   settles once, at its first registration.
+ * @param {Map<ASTNode, ASTNode[]>} [handlerGroups] The `on*` handlers stored
+ *   on the same object as each handler (see `findHandlerGroups()`), which
+ *   together settle once, at the first that settles.
+ * @returns {object} `{ analyze, alwaysThrows, settlesFrom, callbacks,
+ *   repeatingCallbacks, repeatedSettles, unreachableSettles }`: `analyze(functionNode)` returns
+ *   `{ exits, counts, settleCalls, followedSettles }`, where `exits` lists
+ *   `{ state, endNode, terminated }` for every reached final segment
+ *   (`terminated` is `'thrown'` or `'returned'`), `counts` is the union of
+ *   all exit states, `settleCalls` holds the calls that may settle and
+ *   `followedSettles` those another settle may run after, other than event
+ *   listener registrations;
+ *   `alwaysThrows(callNode)` tells whether a call is to a same-file function
+ *   whose every path throws; `settlesFrom(functionNode, startNode)` tells
+ *   whether every path from the segment starting at a node (a `catch`
+ *   clause) runs a call certain to settle before the function ends;
+ *   `callbacks` lists the deferred callbacks found to settle,
+ *   `repeatingCallbacks` holds those that may run any number of times
+ *   (`setInterval`, `xhr.onreadystatechange`) and need not settle on every run,
+ *   `repeatedSettles` holds the settling calls that may run again and
+ *   `unreachableSettles` maps settling calls that never run to the
+ *   `return`, `throw`, `break`, `continue` or terminating call before them.
+ */
+function createSettleAnalysis(
+  recorder,
+  root,
+  settleSites,
+  localFunctions,
+  options = {},
+  listenerCounts = new Map(),
+  handlerGroups = new Map()
+) {
+  const terminatingCalls = options.terminatingCalls || DEFAULT_TERMINATING_CALLS;
+  const results = new Map();
+  const chainCounts = new Map();
+  const callbacks = [];
+  const repeatingCallbacks = new Set();
+  const repeatingCalls = new Map();
+  const repeatedSettles = new Set();
+  const unreachableSettles = new Map();
+  const passedFunctions = new Set(localFunctions.passed.values());
+
+  function isInlineFunction(node) {
+    return localFunctions.callOnly.has(node) && isInside(node, root);
+  }
+
+  function getInlineFunction(callNode) {
+    const functionNode = localFunctions.calls.get(callNode);
+    return functionNode && isInside(functionNode, root) ? functionNode : null;
+  }
+
+  // A same-file function whose every path throws; an async function turns
+  // the throw into a rejected promise and returns
+  function alwaysThrows(callNode) {
+    const functionNode = localFunctions.calls.get(callNode);
+    if (!functionNode || functionNode.async || functionNode.generator) {
+      return false;
+    }
+
+    // A function being analyzed has no exits yet
+    const { exits } = analyze(functionNode);
+    return exits.length > 0 && exits.every(exit => exit.terminated === 'thrown' || exit.state === 0);
+  }
+
+  function isTerminatingCall(callNode) {
+    return matchesHandoff(callNode, terminatingCalls) || alwaysThrows(callNode);
+  }
+
+  // Settle counts a deferred callback hands off; records it as a unit to check.
+  // One run many times (`setInterval`) can stop itself, so it counts once
+  // and may skip settling on a run; one passed to an API the table does not
+  // know counts once when it settles on every path
+  // (`db.query(sql, (err, rows) => ...)`), and follows `otherHandoffs`
+  // otherwise.
+  function getCallbackCounts(functionNode, count) {
+    const { counts } = analyze(functionNode);
+    if (!(counts & (ONE | MANY))) {
+      return 0;
+    }
+
+    if (!callbacks.includes(functionNode)) {
+      callbacks.push(functionNode);
+    }
+    if (count === 'many') {
+      repeatingCallbacks.add(functionNode);
+    }
+    if (count === 'maybe' || (count === null && counts & ZERO && options.otherHandoffs !== 'guaranteed')) {
+      return ZERO | ONE;
+    }
+    return ONE;
+  }
+
+  // A callback run once per element settles any number of times, its
+  // settles are the ones that repeat
+  function getIterationCounts(functionNode, repeating) {
+    const { counts, settleCalls } = analyze(functionNode);
+    if (!(counts & (ONE | MANY))) {
+      return 0;
+    }
+
+    repeating.push(...settleCalls);
+    return ZERO | ONE | MANY;
+  }
+
+  // A call chain (`p.then(a).catch(b)`) settles once, however many of its
+  // arguments are resolvers or settling callbacks
+  function getChainCounts(callNode) {
+    if (chainCounts.has(callNode)) {
+      return chainCounts.get(callNode);
+    }
+
+    // A site settling any number of times (`items.forEach(resolve)`)
+    // repeats; one certain to settle more than once is a plain double settle
+    let counts = settleSites.get(callNode) || 0;
+    const repeating = counts & MANY && counts !== MANY ? [callNode] : [];
+    if (getOutermostChainCall(callNode) === callNode) {
+      let call = callNode;
+      while (call && call.type === 'CallExpression') {
+        const iterates = matchesHandoff(call, ITERATION_METHODS);
+        for (const [index, argument] of call.arguments.entries()) {
+          const callback = getPassedFunction(argument);
+          if (callback) {
+            counts = mergeHandoffs(
+              counts,
+              iterates
+                ? getIterationCounts(callback, repeating)
+                : getCallbackCounts(callback, getCallbackCount(call, index, options))
+            );
+          }
+        }
+        call = call.callee.type === 'MemberExpression' ? call.callee.object : null;
+      }
+    }
+    if (listenerCounts.has(callNode)) {
+      counts = listenerCounts.get(callNode);
+    }
+
+    chainCounts.set(callNode, counts);
+    repeatingCalls.set(callNode, repeating);
+    return counts;
+  }
+
+  // A deferred callback passed as a call argument, inline or by the name
+  // it is declared or bound with
+  function getPassedFunction(argument) {
+    const functionNode = isFunction(argument) ? argument : localFunctions.passed.get(argument);
+    if (!functionNode || isInlineFunction(functionNode) || !isInside(functionNode, root)) {
+      return null;
+    }
+    return functionNode;
+  }
+
+  function getCallCounts(callNode) {
+    const counts = getChainCounts(callNode) || ZERO;
+    const inlineFunction = getInlineFunction(callNode);
+
+    return inlineFunction ? addCounts(counts, analyze(inlineFunction).counts || ZERO) : counts;
+  }
+
+  // A callback passed to a call by name counts there, like an inline one
+  function getCreationCounts(functionNode) {
+    if (isInlineFunction(functionNode) || isCallArgument(functionNode) || passedFunctions.has(functionNode)) {
+      return ZERO;
+    }
+    // A callback stored rather than passed (`request.onload = ...`) counts
+    // as settling once where it is created; handlers stored on the same
+    // object race, and settle once between them
+    const group = handlerGroups.get(functionNode) || [functionNode];
+    const settling = group.find(handler => getCallbackCounts(
+      handler,
+      isRepeatingHandler(handler, options.repeatingEvents) ? 'many' : 'once'
+    ));
+    return settling === functionNode ? ONE : ZERO;
+  }
+
+  function settlesFrom(functionNode, startNode) {
+    const { settleCalls } = analyze(functionNode);
+    const { segments } = recorder.getCodePath(functionNode);
+    const start = [...segments.values()].find(record => record.startNode === startNode);
+    if (!start) return false;
+
+    // A path reaching the end of the function before a settle or a
+    // terminating call leaves the promise pending, and so does a handoff
+    // that may never call back
+    const visited = new Set([start.segment]);
+    const pending = [start.segment];
+    while (pending.length > 0) {
+      const segment = pending.pop();
+      const settles = segments.get(segment.id).events.some(event => event.type === 'call' && (
+        (settleCalls.has(event.node) && !(getCallCounts(event.node) & ZERO)) || isTerminatingCall(event.node)
+      ));
+      if (settles) continue;
+      if (segment.nextSegments.length === 0) return false;
+
+      for (const next of segment.nextSegments) {
+        if (!visited.has(next)) {
+          visited.add(next);
+          pending.push(next);
+        }
+      }
+    }
+    return true;
+  }
+
+  function analyze(functionNode) {
+    if (!results.has(functionNode)) {
+      // A recursive call adds nothing while the function is being analyzed
+      results.set(functionNode, { exits: [], counts: 0, settleCalls: new Set(), followedSettles: new Set() });
+      results.set(functionNode, runDataflow(functionNode));
+    }
+    return results.get(functionNode);
+  }
+
+  function runDataflow(functionNode) {
+    const { codePath, segments } = recorder.getCodePath(functionNode);
+    const thrownSegments = new Set(codePath.thrownSegments);
+    const cyclicSegments = getCyclicSegments(codePath.initialSegment);
+    const settleCalls = new Set();
+    const outStates = new Map();
+    const endNodes = new Map();
+    const tryStates = new Map();
+    const catchingTries = new Map();
+    const catchSegments = new Map();
+    const deadEnds = new Map();
+
+    // The settles a call repeats: those of an iteration callback, or the
+    // call itself when its segment is on a loop
+    function getRepeatingSettles(callNode, segment) {
+      const repeating = repeatingCalls.get(callNode) || [];
+      if (repeating.length > 0 || !cyclicSegments.has(segment)) {
+        return repeating;
+      }
+      return [callNode];
+    }
+
+    for (const { segment, startNode } of segments.values()) {
+      if (startNode.type === 'CatchClause') {
+        catchSegments.set(startNode.parent, segment);
+      }
+    }
+
+    // The terminating call a dead segment inherits from its predecessors
+    function getDeadEnd(segment) {
+      const prev = segment.prevSegments.find(candidate => deadEnds.has(candidate));
+      return prev ? deadEnds.get(prev) : null;
+    }
+
+    function getInState(segment) {
+      const { startNode } = segments.get(segment.id);
+
+      // A catch clause starts from the states the try block could throw in
+      if (startNode.type === 'CatchClause' && tryStates.has(startNode.parent)) {
+        return tryStates.get(startNode.parent);
+      }
+
+      if (segment === codePath.initialSegment) {
+        return ZERO;
+      }
+
+      return segment.prevSegments.reduce((state, prev) => state | (outStates.get(prev) || 0), 0);
+    }
+
+    const worklist = [codePath.initialSegment];
+    const queued = new Set(worklist);
+    let next = 0;
+
+    function enqueue(segment) {
+      if (!queued.has(segment)) {
+        queued.add(segment);
+        worklist.push(segment);
+      }
+    }
+
+    // Any call, `new`, `await` or `throw` may throw before it completes,
+    // with the state reached so far; entering the try counts too, for
+    // anything else in the block that throws before the first call
+    function addThrowState(tryStatement, state) {
+      const previous = tryStates.get(tryStatement) || 0;
+      if ((previous | state) === previous) return;
+
+      tryStates.set(tryStatement, previous | state);
+      if (catchSegments.has(tryStatement)) {
+        enqueue(catchSegments.get(tryStatement));
+      }
+    }
+
+    function addThrowPoint(node, state) {
+      if (!catchingTries.has(node)) {
+        catchingTries.set(node, getCatchingTry(node, functionNode));
+      }
+      if (catchingTries.get(node)) {
+        addThrowState(catchingTries.get(node), state);
+      }
+    }
+
+    while (next < worklist.length) {
+      const segment = worklist[next++];
+      queued.delete(segment);
+
+      let state = getInState(segment);
+      let terminator = state === 0 ? getDeadEnd(segment) : null;
+
+      for (const event of segments.get(segment.id).events) {
+        // Nothing after a terminating call runs
+        if (state === 0) break;
+
+        if (event.type === 'call' && isTerminatingCall(event.node)) {
+          if (alwaysThrows(event.node)) {
+            addThrowPoint(event.node, state);
+          }
+          state = 0;
+          terminator = event.node;
+        } else if (event.type === 'call') {
+          addThrowPoint(event.node, state);
+
+          const counts = getCallCounts(event.node);
+          const repeating = counts & (ONE | MANY) ? getRepeatingSettles(event.node, segment) : [];
+
+          if (counts & (ONE | MANY)) {
+            settleCalls.add(event.node);
+          }
+          if (repeating.length > 0) {
+            repeating.forEach(node => repeatedSettles.add(node));
+            state = addRepeatedCounts(state, counts);
+          } else {
+            state = addCounts(state, counts);
+          }
+        } else if (event.type === 'function') {
+          state = addCounts(state, getCreationCounts(event.node));
+        } else if (event.type === 'try') {
+          addThrowState(event.node, state);
+        } else if (event.type === 'new' || event.type === 'await') {
+          addThrowPoint(event.node, state);
+        } else if (event.type === 'jump' && event.node.type === 'ThrowStatement') {
+          addThrowPoint(event.node, state);
+        } else if (event.type === 'return') {
+          endNodes.set(segment, event.node);
+        }
+      }
+
+      if (state === 0) {
+        deadEnds.set(segment, terminator);
+      }
+      if (outStates.get(segment) === state) continue;
+      outStates.set(segment, state);
+      segment.nextSegments.forEach(enqueue);
+    }
+
+    // Settles in code ESLint knows to be unreachable, or reached only past a
+    // terminating call
+    for (const { segment, events } of segments.values()) {
+      if (!segment.reachable) {
+        const jump = findJump(segments, segment);
+        events
+          .filter(event => event.type === 'call' && settleSites.has(event.node))
+          .forEach(event => unreachableSettles.set(event.node, jump));
+        continue;
+      }
+      if (!outStates.has(segment)) continue;
+
+      let dead = getInState(segment) === 0;
+      let terminator = dead ? getDeadEnd(segment) : null;
+      for (const event of events) {
+        if (event.type !== 'call') continue;
+
+        if (!dead && isTerminatingCall(event.node)) {
+          dead = true;
+          terminator = event.node;
+        } else if (dead && settleSites.has(event.node)) {
+          unreachableSettles.set(event.node, terminator);
+        }
+      }
+    }
+
+    const exits = codePath.finalSegments
+      .filter(segment => outStates.has(segment))
+      .map(segment => ({
+        state: outStates.get(segment),
+        endNode: endNodes.get(segment) || null,
+        terminated: thrownSegments.has(segment) ? 'thrown' : 'returned',
+      }));
+
+    // Returning at a listener registration would skip registering the rest
+    // of its group, so a `return` is never suggested there
+    const followedSettles = getFollowedSettles(segments, outStates.keys(), settleCalls);
+    listenerCounts.forEach((counts, callNode) => followedSettles.delete(callNode));
+
+    return {
+      exits,
+      counts: exits.reduce((counts, exit) => counts | exit.state, 0),
+      settleCalls,
+      followedSettles,
+    };
+  }
+
+  return {
+    analyze,
+    alwaysThrows,
+    settlesFrom,
+    callbacks,
+    repeatingCallbacks,
+    repeatedSettles,
+    unreachableSettles,
+  };
+}
+
+module.exports = {
+  DEFAULT_TERMINATING_CALLS,
+  ZERO,
+  ONE,
+  MANY,
+  addCounts,
+  addRepeatedCounts,
+  getCatchingTry,
+  createSettleAnalysis,
+};
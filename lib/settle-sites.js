@@ -0,0 +1,315 @@
+const { ZERO, ONE, MANY, createSettleAnalysis } = require('./settle-count');
+const {
+  getResolverName,
+  getParameterBindings,
+  getArgumentBindings,
+  findParameterUses,
+  findResolverUses,
+} = require('./resolver-references');
+const { ITERATION_METHODS, matchesHandoff, getOutermostChainCall } = require('./handoffs');
+const { getCallbackCount } = require('./callback-apis');
+const { getLocalFunctionIndex } = require('./local-functions');
+const { DEFAULT_REPEATING_EVENTS, ERROR_EVENT, findListenerGroups, findHandlerGroups } = require('./event-listeners');
+
+// How many levels of same-file helpers resolvers are followed into
+const DEFAULT_HELPER_DEPTH = 2;
+
+// Settle counts of a resolver handed to an API, by how often it calls back
+const HANDOFF_COUNTS = {
+  once: ONE,
+  'error-first': ONE,
+  many: ZERO | ONE | MANY,
+  maybe: ZERO | ONE,
+};
+
+function getHandoffCounts(callNode, references, options) {
+  const otherCounts = options.otherHandoffs === 'guaranteed' ? ONE : ZERO | ONE;
+
+  const counts = callNode.arguments
+    .map((argument, index) => {
+      if (!references.has(argument)) return 0;
+      const count = getCallbackCount(callNode, index, options);
+      return count ? HANDOFF_COUNTS[count] : otherCounts;
+    })
+    .filter(argumentCounts => argumentCounts !== 0);
+  return counts.length > 0 ? counts : [otherCounts];
+}
+
+function collectSettleSites({ calls, handoffs, references }, options) {
+  const sites = new Map();
+  const chains = new Map();
+
+  for (const callNode of calls.keys()) {
+    sites.set(callNode, ONE);
+  }
+
+  // A chain (`p.then(resolve).catch(reject)`) settles once if any of its
+  // handoffs is certain to, and repeats if any of them calls back many times
+  for (const callNode of handoffs.keys()) {
+    const chainCall = getOutermostChainCall(callNode);
+    chains.set(chainCall, [...(chains.get(chainCall) || []), ...getHandoffCounts(callNode, references, options)]);
+  }
+  for (const [chainCall, counts] of chains) {
+    if (counts.some(count => count & MANY)) {
+      sites.set(chainCall, ZERO | ONE | MANY);
+    } else if (counts.includes(ONE)) {
+      sites.set(chainCall, ONE);
+    } else {
+      sites.set(chainCall, ZERO | ONE);
+    }
+  }
+
+  for (const callNode of handoffs.keys()) {
+    if (matchesHandoff(callNode, ITERATION_METHODS)) {
+      sites.set(getOutermostChainCall(callNode), ZERO | ONE | MANY);
+    }
+  }
+
+  return sites;
+}
+
+// Chains handing a resolver to an API that calls back any number of times
+// (`setInterval(resolve)`), rather than to an array iteration method
+function findRepeatingHandoffs({ handoffs, references }, options) {
+  const repeating = new Set();
+
+  for (const callNode of handoffs.keys()) {
+    if (
+      !matchesHandoff(callNode, ITERATION_METHODS) &&
+      getHandoffCounts(callNode, references, options).some(counts => counts & MANY)
+    ) {
+      repeating.add(getOutermostChainCall(callNode));
+    }
+  }
+
+  return repeating;
+}
+
+/**
+ * Finds every call that settles (or may settle) the executor's promise.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {ASTNode} executorFn The executor function.
+ * @param {object} options Rule options.
+ * @returns {Map<ASTNode, number>} CallExpression -> bitmask of settle counts
+ *   the call adds: ONE for resolve/reject calls and guaranteed handoffs,
+ *   ZERO | ONE for handoffs that may never call back, and any count for
+ *   resolvers handed to an array iteration method (`items.forEach(resolve)`).
+ */
+function getSettleSites(sourceCode, executorFn, options) {
+  return collectSettleSites(findResolverUses(sourceCode, executorFn), options);
+}
+
+// Handoffs to functions declared in the same file, with the resolver each
+// parameter receives at the first call, and every call handing them over
+function findHelpers(uses, localFunctions) {
+  const helpers = new Map();
+
+  for (const callNode of uses.handoffs.keys()) {
+    const functionNode = localFunctions.calls.get(callNode);
+    if (!functionNode) continue;
+    if (helpers.has(functionNode)) {
+      helpers.get(functionNode).callNodes.push(callNode);
+      continue;
+    }
+
+    const bindings = getArgumentBindings(functionNode, callNode)
+      .map((binding, index) => [binding, uses.references.get(callNode.arguments[index])])
+      .filter(([binding, kind]) => binding && kind);
+    if (bindings.length > 0) {
+      helpers.set(functionNode, { callNode, callNodes: [callNode], bindings });
+    }
+  }
+
+  return helpers;
+}
+
+// Listeners race: the first event to fire settles, so a function's
+// registrations settle once between them, at the first one. Without a
+// success event the promise may never settle.
+function collectListenerSites(sourceCode, functionNode, uses, options) {
+  const repeatingEvents = options.repeatingEvents || DEFAULT_REPEATING_EVENTS;
+  const groups = findListenerGroups(sourceCode, uses, functionNode);
+  const registrations = groups.flat().sort((a, b) => a.callNode.range[0] - b.callNode.range[0]);
+  const listenerCounts = new Map();
+  const listenerIssues = [];
+
+  const counts = registrations.some(registration => registration.event !== ERROR_EVENT) ? ONE : ZERO | ONE;
+  registrations.forEach((registration, index) => {
+    const chainCall = getOutermostChainCall(registration.callNode);
+    if (!listenerCounts.has(chainCall)) {
+      listenerCounts.set(chainCall, index === 0 ? counts : ZERO);
+    }
+  });
+
+  // Each emitter needs its own error listener
+  for (const group of groups) {
+    const success = group.filter(registration => registration.event !== ERROR_EVENT);
+
+    if (success.length > 0 && success.length === group.length) {
+      listenerIssues.push({
+        node: success[0].callNode,
+        messageId: 'missingErrorListener',
+        data: { emitter: sourceCode.getText(success[0].emitter) },
+      });
+    }
+    for (const registration of success) {
+      if (!registration.once && repeatingEvents.includes(registration.event)) {
+        listenerIssues.push({
+          node: registration.callNode,
+          messageId: 'repeatingEvent',
+          data: { event: registration.event, method: registration.callNode.callee.property.name },
+        });
+      }
+    }
+  }
+
+  return { listenerCounts, listenerIssues };
+}
+
+// Positions of the arguments holding resolvers, null when a spread hides them
+function getResolverPositions(callNode, references) {
+  if (callNode.arguments.some(argument => argument.type === 'SpreadElement')) {
+    return null;
+  }
+
+  return callNode.arguments
+    .map((argument, index) => (references.has(argument) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+function createUnitAnalysis(recorder, sourceCode, functionNode, uses, options, depth, summaries) {
+  const localFunctions = getLocalFunctionIndex(sourceCode.scopeManager);
+  const settleSites = collectSettleSites(uses, options);
+  const { listenerCounts, listenerIssues } = collectListenerSites(sourceCode, functionNode, uses, options);
+  const repeatingHandoffs = findRepeatingHandoffs(uses, options);
+  const helpers = [];
+
+  // A function imported from another module settles as its summary says;
+  // one whose settle may run again repeats like a `many` handoff
+  if (summaries) {
+    for (const callNode of uses.handoffs.keys()) {
+      const positions = localFunctions.calls.has(callNode) ? null : getResolverPositions(callNode, uses.references);
+      const counts = positions && positions.length > 0 ? summaries.getCounts(callNode, positions) : null;
+      if (counts !== null) {
+        settleSites.set(getOutermostChainCall(callNode), counts);
+      }
+      if (counts !== null && counts & MANY && counts !== MANY) {
+        repeatingHandoffs.add(getOutermostChainCall(callNode));
+      }
+    }
+  }
+
+  // A helper runs synchronously and is checked on its own, so the call
+  // settles once for the function calling it. Past `helperDepth` levels the
+  // helper is not checked, and is trusted to settle once.
+  for (const [helperFn, { callNode, callNodes, bindings }] of findHelpers(uses, localFunctions)) {
+    callNodes.forEach(helperCall => settleSites.set(getOutermostChainCall(helperCall), ONE));
+    if (depth === 0) continue;
+
+    const reject = bindings.find(([, kind]) => kind === 'reject');
+    helpers.push({
+      functionNode: helperFn,
+      callNode,
+      rejectName: reject ? getResolverName(reject[0]) : null,
+      analysis: createUnitAnalysis(
+        recorder,
+        sourceCode,
+        helperFn,
+        findParameterUses(sourceCode, helperFn, bindings),
+        options,
+        depth - 1,
+        summaries
+      ),
+    });
+  }
+
+  return {
+    ...createSettleAnalysis(
+      recorder,
+      functionNode,
+      settleSites,
+      localFunctions,
+      options,
+      listenerCounts,
+      findHandlerGroups(sourceCode, uses, functionNode)
+    ),
+    helpers,
+    listenerIssues,
+    repeatingHandoffs,
+  };
+}
+
+/**
+ * Sets up the settle-count analysis of an executor. Resolvers handed to a
+ * function declared in the same file (`handle(req, resolve, reject)`) are
+ * followed into it, up to `options.helperDepth` levels deep: the helper is
+ * analyzed with the parameters receiving them as its resolvers. A call to a
+ * helper deeper than that counts as settling once.
+ * @param {object} recorder The rule's code path recorder.
+ * @param {SourceCode} sourceCode The file's source code.
+ * @param {ASTNode} executorFn The executor function.
+ * @param {object} options Rule options.
+ * @param {object} [summaries] Settle summaries of imported functions, see
+ *   `createModuleSummaries()`.
+ * @returns {object} See `createSettleAnalysis()`, plus `helpers`: the
+ *   helpers called with the executor's resolvers, as `{ functionNode,
+ *   callNode, rejectName, analysis }` where `callNode` is the first call
+ *   handing them over and `analysis` has the same shape, and
+ *   `listenerIssues`: `{ node, messageId, data }` for event listener groups
+ *   without an `'error'` listener (`missingErrorListener`) and settling
+ *   listeners added with `.on()` for an event that repeats (`repeatingEvent`),
+ *   and `repeatingHandoffs`: the repeated settles that hand a resolver to an
+ *   API calling back any number of times (`setInterval(resolve)`), as
+ *   opposed to settles in a loop.
+ */
+function createExecutorAnalysis(recorder, sourceCode, executorFn, options, summaries) {
+  const depth = options.helperDepth === undefined ? DEFAULT_HELPER_DEPTH : options.helperDepth;
+  const uses = findResolverUses(sourceCode, executorFn);
+  return createUnitAnalysis(recorder, sourceCode, executorFn, uses, options, depth, summaries);
+}
+
+// Whether a settle of the unit, or of a helper it hands its resolvers to,
+// may run again
+function hasRepeatedSettles(analysis, functionNode) {
+  analysis.analyze(functionNode);
+  return analysis.repeatedSettles.size > 0 ||
+    analysis.helpers.some(helper => hasRepeatedSettles(helper.analysis, helper.functionNode));
+}
+
+/**
+ * Counts how often a function settles resolvers passed at the given argument
+ * positions, on the paths that return. A function that only ever throws
+ * rejects the caller's promise, and counts as settling once.
+ * @param {object} recorder Code path recorder of the function's file.
+ * @param {SourceCode} sourceCode The function's source code.
+ * @param {ASTNode} functionNode The function.
+ * @param {number[]} positions Argument positions holding resolvers.
+ * @param {object} options Rule options.
+ * @param {object} [summaries] Settle summaries of functions it imports.
+ * @returns {object} `{ counts, repeats }`: the bitmask of settle counts, with
+ *   a settle that may run again (`setInterval(resolve)`,
+ *   `items.forEach(resolve)`) adding at most one, and whether there is one.
+ */
+function getFunctionSettleCounts(recorder, sourceCode, functionNode, positions, options, summaries) {
+  const parameterBindings = getParameterBindings(functionNode, Math.max(...positions) + 1);
+  const bindings = positions
+    .filter(position => parameterBindings[position])
+    .map(position => [parameterBindings[position], 'either']);
+
+  const depth = options.helperDepth === undefined ? DEFAULT_HELPER_DEPTH : options.helperDepth;
+  const uses = findParameterUses(sourceCode, functionNode, bindings);
+  const analysis = createUnitAnalysis(recorder, sourceCode, functionNode, uses, options, depth, summaries);
+  const { exits } = analysis.analyze(functionNode);
+
+  const returned = exits.filter(exit => exit.terminated !== 'thrown');
+  return {
+    counts: returned.length > 0 ? returned.reduce((counts, exit) => counts | exit.state, 0) : ONE,
+    repeats: hasRepeatedSettles(analysis, functionNode),
+  };
+}
+
+module.exports = {
+  getSettleSites,
+  createExecutorAnalysis,
+  getFunctionSettleCounts,
+};
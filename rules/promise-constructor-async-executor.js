@@ -0,0 +1,127 @@
+const { createCodePathRecorder } = require('../lib/code-path-recorder');
+const { getResolverBindings, getResolverName } = require('../lib/resolver-references');
+const { getCatchingTry } = require('../lib/settle-count');
+const { createExecutorAnalysis } = require('../lib/settle-sites');
+const { handoffOptionsSchema } = require('../lib/handoffs');
+const {
+  executorOptionsSchema,
+  createExecutorCollector,
+  getAnalysisOptions,
+} = require('../lib/executor-options');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Ensure rejections and throws inside async Promise executors reach the promise',
+      category: 'Possible Errors',
+      recommended: false,
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...handoffOptionsSchema,
+          ...executorOptionsSchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      uncaughtAwait: 'A rejection at this {{point}} escapes the async executor and never reaches `{{name}}()`',
+      uncaughtThrow: 'An error thrown by this {{point}} escapes the async executor and never reaches `{{name}}()`',
+      unsettledCatch: 'The `catch` clause around this {{point}} never settles the promise, so an error here is lost',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const recorder = createCodePathRecorder();
+    const analysisOptions = getAnalysisOptions(context, options);
+    const collector = createExecutorCollector(context, options);
+    // Function -> the `await`s, `throw`s and calls (which may turn out to
+    // always throw) it runs itself, outside nested functions
+    const points = new Map();
+    const functionStack = [];
+
+    function addPoint(node, kind) {
+      const functionNode = functionStack[functionStack.length - 1];
+      if (!functionNode) return;
+
+      if (!points.has(functionNode)) points.set(functionNode, []);
+      points.get(functionNode).push({ node, kind });
+    }
+
+    function describePoint(node) {
+      if (node.type === 'AwaitExpression') return '`await`';
+      if (node.type === 'ForOfStatement') return '`for await` loop';
+      if (node.type === 'ThrowStatement') return '`throw`';
+      return `\`${sourceCode.getText(node.callee)}()\` call`;
+    }
+
+    function checkExecutor(executorFn) {
+      const analysis = createExecutorAnalysis(recorder, sourceCode, executorFn, analysisOptions);
+      const rejectName = getResolverName(getResolverBindings(executorFn).reject) || 'reject';
+
+      // A throw escapes the executor as surely as a rejection does: the
+      // async function turns it into a rejected promise nobody awaits
+      const escaping = (points.get(executorFn) || [])
+        .filter(({ node, kind }) => kind !== 'call' || analysis.alwaysThrows(node))
+        .sort((a, b) => a.node.range[0] - b.node.range[0]);
+
+      for (const { node, kind } of escaping) {
+        const data = { name: rejectName, point: describePoint(node) };
+        const tryStatement = getCatchingTry(node, executorFn);
+
+        // A catch clause passes the error on when every path through it
+        // calls the executor's resolve or reject, or hands one off to a call
+        // certain to run it
+        if (!tryStatement) {
+          context.report({ node, messageId: kind === 'await' ? 'uncaughtAwait' : 'uncaughtThrow', data });
+        } else if (!analysis.settlesFrom(executorFn, tryStatement.handler)) {
+          context.report({ node, messageId: 'unsettledCatch', data });
+        }
+      }
+    }
+
+    return {
+      ...recorder.listeners,
+      ...collector.listeners,
+
+      ':function'(node) {
+        functionStack.push(node);
+      },
+
+      ':function:exit'() {
+        functionStack.pop();
+      },
+
+      AwaitExpression(node) {
+        addPoint(node, 'await');
+      },
+
+      'ForOfStatement[await=true]'(node) {
+        addPoint(node, 'await');
+      },
+
+      'ThrowStatement:exit'(node) {
+        addPoint(node, 'throw');
+      },
+
+      // Calls that may turn out to always throw, once every function's code
+      // path is recorded
+      CallExpression(node) {
+        addPoint(node, 'call');
+      },
+
+      // Executors passed by reference may be declared after the Promise is
+      // constructed, so every `await` and `throw` is known only at the end
+      'Program:exit'() {
+        for (const executorFn of collector.executors) {
+          if (executorFn.async) checkExecutor(executorFn);
+        }
+      },
+    };
+  },
+};
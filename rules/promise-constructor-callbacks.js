@@ -1,3 +1,17 @@
+const { createCodePathRecorder } = require('../lib/code-path-recorder');
+const { ZERO } = require('../lib/settle-count');
+const { handoffOptionsSchema } = require('../lib/handoffs');
+const { createExecutorAnalysis } = require('../lib/settle-sites');
+const { createModuleSummaries } = require('../lib/module-summaries');
+const { getResolverBindings, getResolverName } = require('../lib/resolver-references');
+const { getElseSuggestions } = require('../lib/fixes');
+const {
+  executorOptionsSchema,
+  createExecutorCollector,
+  reportParameterProblems,
+  getAnalysisOptions,
+} = require('../lib/executor-options');
+
 module.exports = {
   meta: {
     type: 'problem',
@@ -6,273 +20,155 @@ module.exports = {
       category: 'Possible Errors',
       recommended: true,
     },
-    fixable: null,
-    schema: [], // no options
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...handoffOptionsSchema,
+          ...executorOptionsSchema,
+          checkParameters: { type: 'boolean' },
+        },
+        additionalProperties: false,
+      },
+    ],
     messages: {
+      unverifiableExecutor: 'Promise executor cannot be resolved to a function in this file',
       noCallback: 'Promise constructor must call resolve or reject in all execution paths',
       missingResolve: 'Promise constructor must have a resolve parameter',
       missingReject: 'Promise constructor must have a reject parameter',
+      unexpectedParameterName: 'Executor parameter `{{name}}` should be named {{expected}}',
+      unsettledCallback: 'Callback handed off by the executor must call resolve or reject in all execution paths',
+      unsettledHelper: 'Helper `{{name}}()` handed the executor\'s callbacks must call one of them in all execution paths',
+      missingErrorListener: 'Listen for `\'error\'` on `{{emitter}}` and call `{{name}}()`, or a failure leaves the promise pending',
+      addElse: 'Add an `else` branch calling `{{name}}`',
     },
   },
 
   create(context) {
-    function isPromiseConstructor(node) {
-      return (
-        node.type === 'NewExpression' &&
-        node.callee.type === 'Identifier' &&
-        node.callee.name === 'Promise'
-      );
-    }
-
-    function getExecutorFunction(node) {
-      if (node.arguments && node.arguments.length > 0) {
-        const executor = node.arguments[0];
-        if (executor.type === 'ArrowFunctionExpression' || executor.type === 'FunctionExpression') {
-          return executor;
-        }
-      }
-      return null;
-    }
+    const options = context.options[0] || {};
+    const analysisOptions = getAnalysisOptions(context, options);
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const recorder = createCodePathRecorder();
+    const collector = createExecutorCollector(context, options, true);
+    const checkedHelpers = new Set();
+    const summaries = options.crossModule
+      ? createModuleSummaries(sourceCode, context.filename || context.getFilename(), analysisOptions)
+      : null;
+
+    function analyzeExecutorFunction(executorFn) {
+      // Calls that reach the executor's resolve/reject variables, through
+      // aliases but never through shadowing declarations, or hand them off
+      const analysis = createExecutorAnalysis(recorder, sourceCode, executorFn, analysisOptions, summaries);
+      const rejectName = getResolverName(getResolverBindings(executorFn).reject);
+
+      // Every path must call resolve/reject, unless it ends in an uncaught
+      // throw, which rejects the promise on its own; an async executor turns
+      // the throw into a promise nobody awaits
+      const result = analysis.analyze(executorFn);
+      const hasCallbacks = result.exits
+        .every(exit => (exit.terminated === 'thrown' && !executorFn.async) || !(exit.state & ZERO));
+
+      const unsettledCallbacks = [];
+      const unsettledHelpers = [];
+      const missingErrorListeners = [];
+      collectUnsettled(analysis, rejectName, unsettledCallbacks, unsettledHelpers, missingErrorListeners);
 
-    function hasRequiredParameters(executorFn) {
-      const params = executorFn.params;
-      return params.length >= 2;
-    }
-
-    function getParameterNames(executorFn) {
-      const params = executorFn.params;
       return {
-        resolve: params[0] ? params[0].name : null,
-        reject: params[1] ? params[1].name : null,
+        hasCallbacks,
+        suggest: getElseSuggestions(sourceCode, executorFn, result.settleCalls, rejectName),
+        unsettledCallbacks,
+        unsettledHelpers,
+        missingErrorListeners,
       };
     }
 
-    function findCallsInNode(node, targetNames) {
-      const calls = new Set();
-      
-      function traverse(currentNode) {
-        if (!currentNode || typeof currentNode !== 'object') return;
-
-        // Check for direct function calls
-        if (currentNode.type === 'CallExpression' && 
-            currentNode.callee && 
-            currentNode.callee.type === 'Identifier') {
-          const callName = currentNode.callee.name;
-          if (targetNames.includes(callName)) {
-            calls.add(callName);
-          }
-        }
-
-        // Recursively check all properties
-        for (const key in currentNode) {
-          if (key === 'parent' || key === 'range' || key === 'loc') continue;
-          
-          const child = currentNode[key];
-          if (Array.isArray(child)) {
-            child.forEach(item => {
-              if (item && typeof item === 'object' && item.type) {
-                traverse(item);
-              }
-            });
-          } else if (child && typeof child === 'object' && child.type) {
-            traverse(child);
-          }
+    function collectUnsettled(analysis, rejectName, unsettledCallbacks, unsettledHelpers, missingErrorListeners) {
+      // An emitter's failure must reach reject, when there is one to call
+      analysis.listenerIssues
+        .filter(issue => issue.messageId === 'missingErrorListener' && rejectName)
+        .forEach(issue => missingErrorListeners.push({ node: issue.node, data: { ...issue.data, name: rejectName } }));
+
+      // Deferred callbacks run on their own: a throw there does not reject.
+      // One run again and again (`setInterval`) settles on a later run when
+      // it skips this one
+      analysis.callbacks
+        .filter(callback => !analysis.repeatingCallbacks.has(callback))
+        .filter(callback => analysis.analyze(callback).exits.some(exit => exit.state & ZERO))
+        .forEach(callback => unsettledCallbacks.push({
+          node: callback,
+          suggest: getElseSuggestions(sourceCode, callback, analysis.analyze(callback).settleCalls, rejectName),
+        }));
+
+      // A helper runs inline, so its uncaught throws still reject; one
+      // shared by several executors is checked once
+      for (const helper of analysis.helpers) {
+        if (checkedHelpers.has(helper.functionNode)) continue;
+        checkedHelpers.add(helper.functionNode);
+
+        const helperResult = helper.analysis.analyze(helper.functionNode);
+        if (helperResult.exits.some(exit => (exit.terminated !== 'thrown' || helper.functionNode.async) && exit.state & ZERO)) {
+          unsettledHelpers.push({
+            node: helper.functionNode,
+            name: sourceCode.getText(helper.callNode.callee),
+            suggest: getElseSuggestions(sourceCode, helper.functionNode, helperResult.settleCalls, helper.rejectName),
+          });
         }
+        collectUnsettled(helper.analysis, helper.rejectName, unsettledCallbacks, unsettledHelpers, missingErrorListeners);
       }
-
-      traverse(node);
-      return calls;
-    }
-
-    function analyzeExecutorFunction(executorFn, resolveParam, rejectParam) {
-      const targetCalls = [resolveParam, rejectParam].filter(Boolean);
-      
-      if (targetCalls.length === 0) return false;
-
-      // Check if there's at least one execution path that doesn't call resolve/reject
-      const hasUncoveredPath = hasPathWithoutCallback(executorFn.body, targetCalls);
-      
-      // If there's an uncovered path, the Promise is invalid
-      return !hasUncoveredPath;
     }
 
-    function hasPathWithoutCallback(node, targetCalls) {
-      if (!node) return true; // Empty path = no callback called
-
-      if (node.type === 'BlockStatement') {
-        return analyzeBlock(node, targetCalls);
-      }
-
-      // For single statements, check if they guarantee a callback
-      return !guaranteesCallback(node, targetCalls);
-    }
-
-    function analyzeBlock(blockNode, targetCalls) {
-      const statements = blockNode.body;
-      
-      if (statements.length === 0) {
-        return true; // Empty block = no callback called
-      }
-
-      for (let i = 0; i < statements.length; i++) {
-        const stmt = statements[i];
-        
-        // If this statement guarantees a callback, no uncovered path from here
-        if (guaranteesCallback(stmt, targetCalls)) {
-          return false;
-        }
-        
-        // Handle control flow that might create uncovered paths
-        if (stmt.type === 'IfStatement') {
-          const thenHasUncovered = hasPathWithoutCallback(stmt.consequent, targetCalls);
-          const elseHasUncovered = stmt.alternate ? 
-            hasPathWithoutCallback(stmt.alternate, targetCalls) : 
-            true; // No else branch = uncovered path
-          
-          // If either branch has an uncovered path, there's a problem
-          if (thenHasUncovered || elseHasUncovered) {
-            // But continue checking the rest of the block - maybe there's a 
-            // callback after the if statement that covers all paths
-            continue;
-          } else {
-            // Both branches are covered, no uncovered path
-            return false;
-          }
-        }
-        
-        if (stmt.type === 'TryStatement') {
-          const tryHasUncovered = hasPathWithoutCallback(stmt.block, targetCalls);
-          const catchHasUncovered = stmt.handler ? 
-            hasPathWithoutCallback(stmt.handler.body, targetCalls) : 
-            true; // No catch = uncovered error path
+    return {
+      ...recorder.listeners,
+      ...collector.listeners,
+
+      // Code paths are complete once traversal is done
+      'Program:exit'() {
+        for (const executorFn of collector.executors) {
+          // Check if executor has required parameters
+          if (!reportParameterProblems(context, recorder, executorFn, options)) continue;
+
+          // Analyze if resolve or reject is called
+          const {
+            hasCallbacks,
+            suggest,
+            unsettledCallbacks,
+            unsettledHelpers,
+            missingErrorListeners,
+          } = analyzeExecutorFunction(executorFn);
           
-          if (tryHasUncovered || catchHasUncovered) {
-            continue; // Keep checking rest of block
-          } else {
-            return false; // Both try and catch are covered
-          }
-        }
-        
-        // Return and throw statements end execution
-        if (stmt.type === 'ReturnStatement' || stmt.type === 'ThrowStatement') {
-          // If we reach a return/throw without calling resolve/reject, that's an uncovered path
-          return !containsTargetCall(stmt, targetCalls);
-        }
-      }
-      
-      // If we get through all statements without finding a guaranteed callback,
-      // there's an uncovered path (the "fall-through" path)
-      return true;
-    }
-
-    function guaranteesCallback(node, targetCalls) {
-      if (!node) return false;
-      
-      // Direct callback call
-      if (containsTargetCall(node, targetCalls)) {
-        return true;
-      }
-      
-      // If statement guarantees callback only if both branches do
-      if (node.type === 'IfStatement') {
-        const thenGuarantees = guaranteesCallback(node.consequent, targetCalls);
-        const elseGuarantees = node.alternate ? 
-          guaranteesCallback(node.alternate, targetCalls) : 
-          false; // No else = doesn't guarantee
-        
-        return thenGuarantees && elseGuarantees;
-      }
-      
-      // Try statement guarantees callback if both try and catch do
-      if (node.type === 'TryStatement') {
-        const tryGuarantees = guaranteesCallback(node.block, targetCalls);
-        const catchGuarantees = node.handler ? 
-          guaranteesCallback(node.handler.body, targetCalls) : 
-          false;
-        
-        return tryGuarantees && catchGuarantees;
-      }
-      
-      // Block guarantees callback if any statement in it does
-      if (node.type === 'BlockStatement') {
-        return node.body.some(stmt => guaranteesCallback(stmt, targetCalls));
-      }
-      
-      return false;
-    }
-
-    function containsTargetCall(node, targetCalls) {
-      if (!node) return false;
-      
-      // Direct call check
-      if (node.type === 'CallExpression' && 
-          node.callee && 
-          node.callee.type === 'Identifier' &&
-          targetCalls.includes(node.callee.name)) {
-        return true;
-      }
-      
-      // Expression statement wrapper
-      if (node.type === 'ExpressionStatement') {
-        return containsTargetCall(node.expression, targetCalls);
-      }
-      
-      // Recursively check child nodes (but not into nested functions)
-      for (const key in node) {
-        if (key === 'parent' || key === 'range' || key === 'loc') continue;
-        
-        const child = node[key];
-        if (Array.isArray(child)) {
-          for (const item of child) {
-            if (item && typeof item === 'object' && item.type) {
-              if (containsTargetCall(item, targetCalls)) {
-                return true;
-              }
-            }
-          }
-        } else if (child && typeof child === 'object' && child.type) {
-          if (containsTargetCall(child, targetCalls)) {
-            return true;
+          if (!hasCallbacks) {
+            context.report({
+              node: executorFn,
+              messageId: 'noCallback',
+              suggest,
+            });
           }
-        }
-      }
-      
-      return false;
-    }
 
-    return {
-      NewExpression(node) {
-        if (!isPromiseConstructor(node)) return;
-
-        const executorFn = getExecutorFunction(node);
-        if (!executorFn) return;
-
-        // Check if executor has required parameters
-        if (!hasRequiredParameters(executorFn)) {
-          context.report({
-            node: executorFn,
-            messageId: executorFn.params.length === 0 ? 'missingResolve' : 'missingReject',
+          unsettledCallbacks.forEach(callback => {
+            context.report({
+              node: callback.node,
+              messageId: 'unsettledCallback',
+              suggest: callback.suggest,
+            });
           });
-          return;
-        }
 
-        const { resolve, reject } = getParameterNames(executorFn);
-        
-        if (!resolve || !reject) {
-          context.report({
-            node: executorFn,
-            messageId: !resolve ? 'missingResolve' : 'missingReject',
+          unsettledHelpers.forEach(helper => {
+            context.report({
+              node: helper.node,
+              messageId: 'unsettledHelper',
+              data: { name: helper.name },
+              suggest: helper.suggest,
+            });
           });
-          return;
-        }
 
-        // Analyze if resolve or reject is called
-        const hasCallbacks = analyzeExecutorFunction(executorFn, resolve, reject);
-        
-        if (!hasCallbacks) {
-          context.report({
-            node: executorFn,
-            messageId: 'noCallback',
+          missingErrorListeners.forEach(listener => {
+            context.report({
+              node: listener.node,
+              messageId: 'missingErrorListener',
+              data: listener.data,
+            });
           });
         }
       },
@@ -0,0 +1,318 @@
+const { createCodePathRecorder, isFunction } = require('../lib/code-path-recorder');
+const {
+  findResolverUses,
+  findParameterUses,
+  getArgumentBindings,
+  getResolverBindings,
+  getResolverName,
+} = require('../lib/resolver-references');
+const { getLocalFunctionIndex } = require('../lib/local-functions');
+const { matchesHandoff } = require('../lib/handoffs');
+const { getCallbackCount } = require('../lib/callback-apis');
+const { getRegistration } = require('../lib/event-listeners');
+const { getRejectErrorSuggestions } = require('../lib/fixes');
+const { isInside, isCallArgument } = require('../lib/ast-helpers');
+const {
+  executorOptionsSchema,
+  createExecutorCollector,
+  getAnalysisOptions,
+} = require('../lib/executor-options');
+
+const DEFAULT_ERROR_NAMES = ['err', 'error', 'er'];
+
+// How many levels of same-file helpers a reject is followed into
+const HELPER_DEPTH = 2;
+
+// Methods whose callbacks take an error or an element, not an error-first
+// result
+const NON_CALLBACK_METHODS = [
+  'then',
+  'catch',
+  'finally',
+  'forEach',
+  'map',
+  'filter',
+  'find',
+  'findIndex',
+  'some',
+  'every',
+  'flatMap',
+  'reduce',
+];
+
+// Path states: the error may be set and not yet rejected with, or it is not
+const UNHANDLED = 1;
+const HANDLED = 2;
+
+// Whether a test is true when `variable` holds an error (true), when it does
+// not (false), or says nothing about it (null). Only the side where the error
+// is not set matters: true means the error is not set when the test fails,
+// false that it is not set when the test passes.
+function getTestPolarity(test, variable) {
+  const isError = node => node.type === 'Identifier' && variable.references.some(reference => reference.identifier === node);
+  const isNullish = node => (
+    (node.type === 'Literal' && node.value === null) ||
+    (node.type === 'Identifier' && node.name === 'undefined')
+  );
+  // `typeof err` compared with 'undefined' tests it like `err` with undefined
+  const isErrorType = node => node.type === 'UnaryExpression' && node.operator === 'typeof' && isError(node.argument);
+  const isUndefinedType = node => node.type === 'Literal' && node.value === 'undefined';
+
+  if (isError(test)) return true;
+
+  if (test.type === 'UnaryExpression' && test.operator === '!') {
+    const polarity = getTestPolarity(test.argument, variable);
+    return polarity === null ? null : !polarity;
+  }
+
+  // `a && b` fails when either fails and passes when both pass; `a || b`
+  // the other way around
+  if (test.type === 'LogicalExpression' && test.operator !== '??') {
+    const polarities = [getTestPolarity(test.left, variable), getTestPolarity(test.right, variable)];
+    const [all, any] = test.operator === '&&' ? [true, false] : [false, true];
+    if (polarities.includes(any)) return any;
+    return polarities.every(polarity => polarity === all) ? all : null;
+  }
+
+  if (test.type === 'BinaryExpression') {
+    if (test.operator === 'instanceof') return isError(test.left) ? true : null;
+
+    const compared = (isError(test.left) && isNullish(test.right)) ||
+      (isError(test.right) && isNullish(test.left)) ||
+      (isErrorType(test.left) && isUndefinedType(test.right)) ||
+      (isErrorType(test.right) && isUndefinedType(test.left));
+    if (compared && ['!=', '!=='].includes(test.operator)) return true;
+    if (compared && ['==', '==='].includes(test.operator)) return false;
+  }
+
+  return null;
+}
+
+// Whether a segment starting at `node` begins a branch on the error, and on
+// which side
+function getBranchPolarity(node, variable) {
+  const { parent } = node;
+
+  if ((parent.type === 'IfStatement' || parent.type === 'ConditionalExpression') && parent.test !== node) {
+    const polarity = getTestPolarity(parent.test, variable);
+    if (polarity === null) return null;
+    return parent.consequent === node ? polarity : !polarity;
+  }
+
+  if (parent.type === 'LogicalExpression' && parent.right === node && parent.operator !== '??') {
+    const polarity = getTestPolarity(parent.left, variable);
+    if (polarity === null) return null;
+    return parent.operator === '&&' ? polarity : !polarity;
+  }
+
+  return null;
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Ensure error-first callbacks inside Promise executors forward the error to reject',
+      category: 'Possible Errors',
+      recommended: false,
+    },
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...executorOptionsSchema,
+          errorNames: {
+            type: 'array',
+            items: { type: 'string' },
+            uniqueItems: true,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      unforwardedError: 'Error-first callback must call `{{reject}}()` on every path where `{{name}}` is set',
+      rejectError: 'Return `{{reject}}({{name}})` first when `{{name}}` is set',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const recorder = createCodePathRecorder();
+    const errorNames = options.errorNames || DEFAULT_ERROR_NAMES;
+    const analysisOptions = getAnalysisOptions(context, options);
+    const collector = createExecutorCollector(context, options);
+    const callbacks = [];
+
+    // A function passed to a call, known to the callback table as
+    // error-first or taking a first parameter named like an error
+    function isErrorFirstCallback(node) {
+      const callNode = node.parent;
+      const [errorParam] = node.params;
+      if (
+        !isCallArgument(node) ||
+        !errorParam ||
+        errorParam.type !== 'Identifier'
+      ) {
+        return false;
+      }
+
+      const count = getCallbackCount(callNode, callNode.arguments.indexOf(node), analysisOptions);
+      if (count) return count === 'error-first';
+
+      return (
+        errorNames.includes(errorParam.name) &&
+        !matchesHandoff(callNode, NON_CALLBACK_METHODS) &&
+        !getRegistration(callNode)
+      );
+    }
+
+    function getEnclosingExecutor(node) {
+      for (let current = node.parent; current; current = current.parent) {
+        if (collector.executors.has(current)) return current;
+      }
+      return null;
+    }
+
+    // A call running a same-file function that rejects: a closure calling
+    // or handing off the executor's reject, a helper handed reject as an
+    // argument that calls or hands it off in turn, or one calling either
+    function callsReject(callNode, rejectUses, references, depth) {
+      const localFunctions = getLocalFunctionIndex(sourceCode.scopeManager);
+      const functionNode = localFunctions.calls.get(callNode);
+      if (!functionNode || depth === 0) return false;
+
+      if ([...rejectUses].some(node => isInside(node, functionNode))) return true;
+
+      const bindings = getArgumentBindings(functionNode, callNode)
+        .map((binding, index) => [binding, references.get(callNode.arguments[index])])
+        .filter(([binding, kind]) => binding && kind && kind !== 'resolve');
+      if (bindings.length > 0) {
+        const uses = findParameterUses(sourceCode, functionNode, bindings);
+        if (uses.calls.size > 0 || uses.handoffs.size > 0) return true;
+      }
+
+      return [...localFunctions.calls.keys()].some(innerCall => (
+        innerCall !== callNode && isInside(innerCall, functionNode) && callsReject(innerCall, rejectUses, references, depth - 1)
+      ));
+    }
+
+    function passesRejecter(argument, rejectUses) {
+      const functionNode = isFunction(argument)
+        ? argument
+        : getLocalFunctionIndex(sourceCode.scopeManager).passed.get(argument);
+      return Boolean(functionNode) && [...rejectUses].some(node => isInside(node, functionNode));
+    }
+
+    // Walks the callback's code path with the state of its error: a branch
+    // where the error is not set, or a call to reject, handles it
+    function hasUnhandledPath(callback, variable, rejectUses, references) {
+      const { codePath, segments } = recorder.getCodePath(callback);
+      const branches = new Map();
+      const otherBranches = new Map();
+
+      for (const { segment, startNode } of segments.values()) {
+        const polarity = startNode === callback ? null : getBranchPolarity(startNode, variable);
+        if (polarity === null) continue;
+
+        branches.set(segment, polarity);
+        segment.prevSegments.forEach(prev => otherBranches.set(prev, !polarity));
+      }
+
+      // A function that rejects counts once it is called or passed to a
+      // call, inline or by name; one only created may never run
+      function handles(event) {
+        if (event.type !== 'call') return false;
+
+        return (
+          rejectUses.has(event.node) ||
+          callsReject(event.node, rejectUses, references, HELPER_DEPTH) ||
+          event.node.arguments.some(argument => passesRejecter(argument, rejectUses))
+        );
+      }
+
+      // The state a segment passes along one of its edges
+      function getEdgeState(prev, segment, state) {
+        let polarity = null;
+        if (branches.has(segment) && otherBranches.has(prev)) {
+          polarity = branches.get(segment);
+        } else if (otherBranches.has(prev)) {
+          polarity = otherBranches.get(prev);
+        }
+        return polarity === false ? HANDLED : state;
+      }
+
+      const outStates = new Map();
+      const worklist = [codePath.initialSegment];
+      while (worklist.length > 0) {
+        const segment = worklist.shift();
+        const inState = segment === codePath.initialSegment
+          ? UNHANDLED
+          : segment.prevSegments.reduce((state, prev) => (
+            outStates.has(prev) ? state | getEdgeState(prev, segment, outStates.get(prev)) : state
+          ), 0);
+
+        const record = segments.get(segment.id);
+        const outState = record && record.events.some(handles) ? HANDLED : inState;
+        if (outStates.has(segment) && (outStates.get(segment) | outState) === outStates.get(segment)) continue;
+
+        outStates.set(segment, (outStates.get(segment) || 0) | outState);
+        worklist.push(...segment.nextSegments);
+      }
+
+      return codePath.finalSegments.some(segment => (outStates.get(segment) || 0) & UNHANDLED);
+    }
+
+    function checkExecutor(executorFn, executorCallbacks) {
+      const reject = getResolverBindings(executorFn).reject;
+      if (!reject) return;
+
+      const rejectName = getResolverName(reject);
+      const { calls, handoffs, references } = findResolverUses(sourceCode, executorFn);
+      const rejectUses = new Set(
+        [...calls, ...handoffs].filter(([, kind]) => kind !== 'resolve').map(([node]) => node)
+      );
+
+      for (const callback of executorCallbacks) {
+        const [errorParam] = callback.params;
+        const variable = sourceCode.scopeManager.getDeclaredVariables(callback)
+          .find(candidate => candidate.defs.some(def => def.name === errorParam));
+        if (!variable || !hasUnhandledPath(callback, variable, rejectUses, references)) continue;
+
+        context.report({
+          node: errorParam,
+          messageId: 'unforwardedError',
+          data: { name: errorParam.name, reject: rejectName },
+          suggest: getRejectErrorSuggestions(sourceCode, callback, errorParam.name, rejectName),
+        });
+      }
+    }
+
+    return {
+      ...recorder.listeners,
+      ...collector.listeners,
+
+      ':function'(node) {
+        if (isErrorFirstCallback(node)) {
+          callbacks.push(node);
+        }
+      },
+
+      // Executors passed by reference may be declared after the Promise is
+      // constructed, so every callback is known only at the end
+      'Program:exit'() {
+        const callbacksByExecutor = new Map();
+        for (const callback of callbacks) {
+          const executorFn = getEnclosingExecutor(callback);
+          if (!executorFn) continue;
+
+          if (!callbacksByExecutor.has(executorFn)) callbacksByExecutor.set(executorFn, []);
+          callbacksByExecutor.get(executorFn).push(callback);
+        }
+        callbacksByExecutor.forEach((executorCallbacks, executorFn) => checkExecutor(executorFn, executorCallbacks));
+      },
+    };
+  },
+};
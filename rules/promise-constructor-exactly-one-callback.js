@@ -1,4 +1,18 @@
 // FILE: rules/promise-constructor-exactly-one-callback.js
+const { createCodePathRecorder } = require('../lib/code-path-recorder');
+const { ZERO, MANY } = require('../lib/settle-count');
+const { handoffOptionsSchema } = require('../lib/handoffs');
+const { createExecutorAnalysis } = require('../lib/settle-sites');
+const { createModuleSummaries } = require('../lib/module-summaries');
+const { getResolverBindings, getResolverName } = require('../lib/resolver-references');
+const { getReturnSuggestions, getElseSuggestions } = require('../lib/fixes');
+const {
+  executorOptionsSchema,
+  createExecutorCollector,
+  reportParameterProblems,
+  getAnalysisOptions,
+} = require('../lib/executor-options');
+
 module.exports = {
   meta: {
     type: 'problem',
@@ -7,414 +21,186 @@ module.exports = {
       category: 'Possible Errors',
       recommended: true,
     },
-    fixable: null,
-    schema: [],
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...handoffOptionsSchema,
+          ...executorOptionsSchema,
+          checkParameters: { type: 'boolean' },
+        },
+        additionalProperties: false,
+      },
+    ],
     messages: {
+      unverifiableExecutor: 'Promise executor cannot be resolved to a function in this file',
       missingParameters: 'Promise constructor must have both resolve and reject parameters',
+      unexpectedParameterName: 'Executor parameter `{{name}}` should be named {{expected}}',
       noCallback: 'Execution path must call exactly one callback (resolve or reject)',
       multipleCallbacks: 'Execution path calls multiple callbacks - each path should call exactly one',
-      unreachableCallback: 'Callback is unreachable after return statement',
+      unreachableCallback: 'Callback `{{name}}()` on line {{line}} is unreachable after this {{terminator}}',
+      settleInLoop: 'Callback is called inside a loop and may run more than once - break or return after it',
+      repeatingHandoff: '`{{name}}()` can call back more than once, so the callback handed to it may settle again',
+      unsettledCallback: 'Callback handed off by the executor must call exactly one callback (resolve or reject) in each execution path',
+      missingErrorListener: 'Listen for `\'error\'` on `{{emitter}}` and call `{{name}}()`, or a failure leaves the promise pending',
+      repeatingEvent: 'The `\'{{event}}\'` event can fire more than once, so this `{{method}}()` listener may settle again - listen once',
+      addReturn: 'Return at `{{name}}()` on line {{line}} so no other callback runs after it',
+      addElse: 'Add an `else` branch calling `{{name}}`',
     },
   },
 
   create(context) {
-    function isPromiseConstructor(node) {
-      return (
-        node.type === 'NewExpression' &&
-        node.callee.type === 'Identifier' &&
-        node.callee.name === 'Promise'
-      );
-    }
-
-    function getExecutorFunction(node) {
-      if (node.arguments && node.arguments.length > 0) {
-        const executor = node.arguments[0];
-        if (executor.type === 'ArrowFunctionExpression' || executor.type === 'FunctionExpression') {
-          return executor;
-        }
-      }
-      return null;
+    const options = context.options[0] || {};
+    const analysisOptions = getAnalysisOptions(context, options);
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const recorder = createCodePathRecorder();
+    const collector = createExecutorCollector(context, options, true);
+    const checkedHelpers = new Set();
+    const summaries = options.crossModule
+      ? createModuleSummaries(sourceCode, context.filename || context.getFilename(), analysisOptions)
+      : null;
+
+    function describeTerminator(node) {
+      if (!node) return 'point';
+      if (node.type === 'CallExpression') return `\`${sourceCode.getText(node.callee)}()\` call`;
+      return `\`${node.type.replace('Statement', '').toLowerCase()}\` statement`;
     }
 
-    function getParameterNames(executorFn) {
-      const params = executorFn.params;
-      if (params.length < 2) return null;
-      
-      return {
-        resolve: params[0] ? params[0].name : null,
-        reject: params[1] ? params[1].name : null,
-      };
+    function analyzeExecutionPaths(executorFn) {
+      // Calls that reach the executor's resolve/reject variables, through
+      // aliases but never through shadowing declarations, or hand them off
+      const analysis = createExecutorAnalysis(recorder, sourceCode, executorFn, analysisOptions, summaries);
+      const rejectName = getResolverName(getResolverBindings(executorFn).reject);
+      const issues = getIssues(analysis, executorFn, rejectName);
+
+      // Several exits can share the node an issue is reported on
+      return issues.filter((issue, index) => issues.findIndex(other => (
+        other.node === issue.node && other.messageId === issue.messageId
+      )) === index);
     }
 
-    function analyzeExecutionPaths(callbackBody, resolveParam, rejectParam) {
+    // Issues in the executor or in a helper it hands its resolvers to
+    function getIssues(analysis, executorFn, rejectName) {
       const issues = [];
-      
-      // Analyze all possible execution paths
-      const paths = findAllExecutionPaths(callbackBody);
-      console.debug('paths.length', paths.length);
-      
-      for (const path of paths) {
-        const callbackCount = countCallbacksInPath(path, resolveParam, rejectParam);
-        console.debug('callbackCount', callbackCount, 'terminated:', path.terminated);
 
-        if (callbackCount === 0) {
+      // Analyze the settle counts every exit can be reached with
+      const result = analysis.analyze(executorFn);
+
+      for (const exit of result.exits) {
+        // An uncaught throw rejects the promise, so it counts as the callback,
+        // unless an async executor turns it into a promise nobody awaits
+        if (exit.state & ZERO && (exit.terminated !== 'thrown' || executorFn.async)) {
           issues.push({
-            node: path.endNode || callbackBody,
+            node: exit.endNode || executorFn,
             messageId: 'noCallback',
+            suggest: getElseSuggestions(sourceCode, executorFn, result.settleCalls, rejectName),
           });
-        } else if (callbackCount > 1) {
+        }
+        if (exit.state & MANY) {
           issues.push({
-            node: path.endNode || callbackBody,
+            node: exit.endNode || executorFn,
             messageId: 'multipleCallbacks',
+            suggest: getReturnSuggestions(sourceCode, result.followedSettles, result.settleCalls),
           });
         }
       }
-      
-      return issues;
-    }
-
-    function findAllExecutionPaths(callbackBody) {
-      if (callbackBody.type !== 'BlockStatement') {
-        return [{ statements: [callbackBody], endNode: callbackBody, terminated: 'no' }];
-      }
-
-      return analyzeBlock(callbackBody.body);
-    }
-
-    function analyzeBlock(statements, currentPath = []) {
-      const paths = [];
-      let workingPath = [...currentPath];
-      
-      console.log('statements.length', statements.length);
-      for (let i = 0; i < statements.length; i++) {
-        const stmt = statements[i];
-        
-        // Handle control flow statements
-        if (stmt.type === 'IfStatement') {
-          const ifPaths = analyzeIfStatement(stmt, workingPath);
-          
-          // Find remaining statements after the if block
-          const remainingStatements = statements.slice(i + 1);
-
-          // Continue execution only for non-terminated paths
-          const continuingPaths = [];
-          for (const path of ifPaths) {
-            if (path.terminated === 'no' && remainingStatements.length > 0) {
-              // Continue with remaining statements for non-terminated paths
-              const continuedPaths = analyzeBlock(remainingStatements, path.statements);
-              continuingPaths.push(...continuedPaths);
-            } else {
-              // Terminated paths or no remaining statements
-              continuingPaths.push(path);
-            }
-          }
-          
-          paths.push(...continuingPaths);
-          return paths; // We've handled all remaining statements
-
-        } else if (stmt.type === 'TryStatement') {
-          const tryPaths = analyzeTryStatement(stmt, workingPath);
-          
-          // Find remaining statements after try block
-          const remainingStatements = statements.slice(i + 1);
-          
-          const continuingPaths = [];
-          for (const path of tryPaths) {
-            if (path.terminated === 'no' && remainingStatements.length > 0) {
-              const continuedPaths = analyzeBlock(remainingStatements, path.statements);
-              continuingPaths.push(...continuedPaths);
-            } else {
-              continuingPaths.push(path);
-            }
-          }
-
-          paths.push(...continuingPaths);
-          return paths;
 
-        } else if (stmt.type === 'SwitchStatement') {
-          const switchPaths = analyzeSwitchStatement(stmt, workingPath);
-
-          const remainingStatements = statements.slice(i + 1);
-
-          const continuingPaths = [];
-          for (const path of switchPaths) {
-            if (path.terminated === 'no' && remainingStatements.length > 0) {
-              const continuedPaths = analyzeBlock(remainingStatements, path.statements);
-              continuingPaths.push(...continuedPaths);
-            } else {
-              continuingPaths.push(path);
-            }
+      // Deferred callbacks run on their own: a throw there does not reject.
+      // One run again and again (`setInterval`) settles on a later run when
+      // it skips this one
+      for (const callback of analysis.callbacks) {
+        const callbackResult = analysis.analyze(callback);
+
+        for (const exit of callbackResult.exits) {
+          if (exit.state & ZERO && !analysis.repeatingCallbacks.has(callback)) {
+            issues.push({
+              node: exit.endNode || callback,
+              messageId: 'unsettledCallback',
+              suggest: getElseSuggestions(sourceCode, callback, callbackResult.settleCalls, rejectName),
+            });
           }
-
-          paths.push(...continuingPaths);
-          return paths;
-
-        } else if (stmt.type === 'ForStatement' || stmt.type === 'WhileStatement' || stmt.type === 'DoWhileStatement') {
-          const loopPaths = analyzeLoopStatement(stmt, workingPath);
-
-          const remainingStatements = statements.slice(i + 1);
-
-          const continuingPaths = [];
-          for (const path of loopPaths) {
-            if (path.terminated === 'no' && remainingStatements.length > 0) {
-              const continuedPaths = analyzeBlock(remainingStatements, path.statements);
-              continuingPaths.push(...continuedPaths);
-            } else {
-              continuingPaths.push(path);
-            }
+          if (exit.state & MANY) {
+            issues.push({
+              node: exit.endNode || callback,
+              messageId: 'multipleCallbacks',
+              suggest: getReturnSuggestions(sourceCode, callbackResult.followedSettles, callbackResult.settleCalls),
+            });
           }
+        }
+      }
 
-          paths.push(...continuingPaths);
-          return paths;
-
-        } else if (stmt.type === 'ReturnStatement') {
-          // Path terminates here with return
-          workingPath.push(stmt);
-          paths.push({
-            statements: workingPath,
-            endNode: stmt,
-            terminated: 'yes'
-          });
-          return paths; // No statements after return are reachable
-
-        } else if (stmt.type === 'ThrowStatement') {
-          // Path terminates here with throw
-          workingPath.push(stmt);
-          paths.push({
-            statements: workingPath,
-            endNode: stmt,
-            terminated: 'thrown'
+      // A settle that may run again is reported where it happens; one handed
+      // to an API that calls back repeatedly is not in a loop
+      for (const node of analysis.repeatedSettles) {
+        if (analysis.repeatingHandoffs.has(node)) {
+          issues.push({
+            node,
+            messageId: 'repeatingHandoff',
+            data: { name: sourceCode.getText(node.callee) },
           });
-          return paths; // No statements after throw are reachable
-
         } else {
-          workingPath.push(stmt);
+          issues.push({
+            node,
+            messageId: 'settleInLoop',
+            suggest: getReturnSuggestions(sourceCode, [node]),
+          });
         }
       }
 
-      // Add the main path if it doesn't terminate
-      if (workingPath.length > 0) {
-        paths.push({
-          statements: workingPath,
-          endNode: workingPath[workingPath.length - 1],
-          terminated: 'no'
+      // Dead settles are reported at what makes them unreachable
+      for (const [node, terminator] of analysis.unreachableSettles) {
+        issues.push({
+          node: terminator || node,
+          messageId: 'unreachableCallback',
+          data: {
+            name: sourceCode.getText(node.callee),
+            line: node.loc.start.line,
+            terminator: describeTerminator(terminator),
+          },
         });
       }
-      
-      return paths;
-    }
-
-    function analyzeIfStatement(ifStmt, currentPath) {
-      const paths = [];
-      
-      // Analyze then branch
-      const thenStatements = ifStmt.consequent.type === 'BlockStatement' 
-        ? ifStmt.consequent.body 
-        : [ifStmt.consequent];
-      const thenPaths = analyzeBlock(thenStatements, [...currentPath]);
-      
-      // Analyze else branch (or create empty else path)
-      let elsePaths;
-      if (ifStmt.alternate) {
-        const elseStatements = ifStmt.alternate.type === 'BlockStatement'
-          ? ifStmt.alternate.body
-          : [ifStmt.alternate];
-        elsePaths = analyzeBlock(elseStatements, [...currentPath]);
-      } else {
-        // No else branch = empty path that continues after if
-        elsePaths = [{
-          statements: [...currentPath],
-          endNode: ifStmt,
-          terminated: 'no',
-          continuesAfterIf: true
-        }];
-      }
-      
-      paths.push(...thenPaths, ...elsePaths);
-      return paths;
-    }
-
-    function analyzeTryStatement(tryStmt, currentPath) {
-      const paths = [];
-      
-      // Analyze try block
-      const tryStatements = tryStmt.block.body;
-      const tryPaths = analyzeBlock(tryStatements, [...currentPath]);
-      
-      // Analyze catch block if present
-      if (tryStmt.handler) {
-        const catchStatements = tryStmt.handler.body.body;
-        const catchPaths = analyzeBlock(catchStatements, [...currentPath]);
-        paths.push(...catchPaths);
-      }
-
-      // Analyze finally block if present
-      if (tryStmt.finalizer) {
-        const finallyStatements = tryStmt.finalizer.body;
-        // Finally block runs after both try and catch, so we need to handle this carefully
-        const modifiedTryPaths = [];
 
-        for (const tryPath of tryPaths) {
-          if (tryPath.terminated === 'no') {
-            // Continue with finally block
-            const finallyPaths = analyzeBlock(finallyStatements, tryPath.statements);
-            modifiedTryPaths.push(...finallyPaths);
-          } else {
-            // Try path terminated, but finally still runs
-            const finallyPaths = analyzeBlock(finallyStatements, tryPath.statements);
-            modifiedTryPaths.push(...finallyPaths);
-          }
+      // Listeners settling without an error listener, or on repeating events;
+      // an executor without reject has nothing to call on error
+      for (const issue of analysis.listenerIssues) {
+        if (issue.messageId !== 'missingErrorListener' || rejectName) {
+          issues.push({ ...issue, data: { ...issue.data, name: rejectName } });
         }
-
-        paths.push(...modifiedTryPaths);
-      } else {
-        paths.push(...tryPaths);
       }
 
-      return paths;
-    }
-
-    function analyzeSwitchStatement(switchStmt, currentPath) {
-      const paths = [];
-      const cases = switchStmt.cases;
-      let hasDefault = false;
-      
-      for (const caseNode of cases) {
-        if (caseNode.test === null) { // default case
-          hasDefault = true;
-        }
-
-        const caseStatements = caseNode.consequent;
-        if (caseStatements.length > 0) {
-          const casePaths = analyzeBlock(caseStatements, [...currentPath]);
-          paths.push(...casePaths);
-        } else {
-          // Empty case - fallthrough or missing implementation
-          paths.push({
-            statements: [...currentPath],
-            endNode: caseNode,
-            terminated: 'no',
-            isEmpty: true
-          });
-        }
-      }
-      
-      // If no default case, there's an implicit path that does nothing
-      if (!hasDefault) {
-        paths.push({
-          statements: [...currentPath],
-          endNode: switchStmt,
-          terminated: 'no',
-          isImplicitDefault: true
-        });
-      }
-      
-      return paths;
-    }
-
-    function analyzeLoopStatement(loopStmt, currentPath) {
-      const paths = [];
-
-      // Analyze loop body
-      const bodyStatements = loopStmt.body.type === 'BlockStatement'
-        ? loopStmt.body.body
-        : [loopStmt.body];
-
-      // Loop body paths (may execute 0 or more times)
-      const bodyPaths = analyzeBlock(bodyStatements, [...currentPath]);
-      paths.push(...bodyPaths);
-
-      // Path where loop doesn't execute or exits normally
-      paths.push({
-        statements: [...currentPath],
-        endNode: loopStmt,
-        terminated: 'no',
-        isLoopSkip: true
-      });
-      
-      return paths;
-    }
-
-    function countCallbacksInPath(path, resolveParam, rejectParam) {
-      let count = 0;
-      
-      for (const stmt of path.statements) {
-        count += countCallbacksInStatement(stmt, resolveParam, rejectParam);
+      // A helper shared by several executors is checked once
+      for (const helper of analysis.helpers) {
+        if (checkedHelpers.has(helper.functionNode)) continue;
+        checkedHelpers.add(helper.functionNode);
+        issues.push(...getIssues(helper.analysis, helper.functionNode, helper.rejectName));
       }
-      
-      return count;
-    }
 
-    function countCallbacksInStatement(stmt, resolveParam, rejectParam) {
-      let count = 0;
-      
-      function traverse(node) {
-        if (!node || typeof node !== 'object') return;
-        
-        if (node.type === 'CallExpression' && 
-            node.callee && 
-            node.callee.type === 'Identifier') {
-          const callName = node.callee.name;
-          if (callName === resolveParam || callName === rejectParam) {
-            count++;
-          }
-        }
-        
-        // Recursively traverse child nodes
-        for (const key in node) {
-          if (key === 'parent' || key === 'range' || key === 'loc') continue;
-          
-          const child = node[key];
-          if (Array.isArray(child)) {
-            child.forEach(item => {
-              if (item && typeof item === 'object' && item.type) {
-                traverse(item);
-              }
-            });
-          } else if (child && typeof child === 'object' && child.type) {
-            traverse(child);
-          }
-        }
-      }
-      
-      traverse(stmt);
-      return count;
+      return issues;
     }
 
     return {
-      NewExpression(node) {
-        if (!isPromiseConstructor(node)) return;
-
-        const executorFn = getExecutorFunction(node);
-        if (!executorFn) return;
+      ...recorder.listeners,
+      ...collector.listeners,
 
-        const params = getParameterNames(executorFn);
-        if (!params) {
-          context.report({
-            node: executorFn,
-            messageId: 'missingParameters',
-          });
-          return;
-        }
+      // Code paths are complete once traversal is done
+      'Program:exit'() {
+        for (const executorFn of collector.executors) {
+          if (!reportParameterProblems(context, recorder, executorFn, options, { missingResolve: 'missingParameters', missingReject: 'missingParameters' })) continue;
 
-        const { resolve, reject } = params;
-        if (!resolve || !reject) {
-          context.report({
-            node: executorFn,
-            messageId: 'missingParameters',
+          // Analyze execution paths
+          const issues = analyzeExecutionPaths(executorFn);
+          
+          issues.forEach(issue => {
+            context.report({
+              node: issue.node,
+              messageId: issue.messageId,
+              data: issue.data,
+              suggest: issue.suggest,
+            });
           });
-          return;
         }
-
-        // Analyze execution paths
-        const issues = analyzeExecutionPaths(executorFn.body, resolve, reject);
-        
-        issues.forEach(issue => {
-          context.report({
-            node: issue.node,
-            messageId: issue.messageId,
-          });
-        });
       },
     };
   },
@@ -0,0 +1,176 @@
+const { createCodePathRecorder, isFunction } = require('../lib/code-path-recorder');
+const { findResolverUses } = require('../lib/resolver-references');
+const { matchesHandoff } = require('../lib/handoffs');
+const { getReturnSuggestions } = require('../lib/fixes');
+const { isInside } = require('../lib/ast-helpers');
+const { executorOptionsSchema, createExecutorCollector } = require('../lib/executor-options');
+
+// Cleanup that belongs after a settle
+const DEFAULT_ALLOWED_CALLS = [
+  'clearTimeout',
+  'clearInterval',
+  'clearImmediate',
+  'cancelAnimationFrame',
+  'removeListener',
+  'removeEventListener',
+  'removeAllListeners',
+  'off',
+];
+
+const SIDE_EFFECT_TYPES = new Set([
+  'CallExpression',
+  'NewExpression',
+  'AssignmentExpression',
+  'UpdateExpression',
+  'AwaitExpression',
+  'YieldExpression',
+  'TaggedTemplateExpression',
+]);
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Disallow side effects after a Promise executor has called resolve or reject',
+      category: 'Possible Errors',
+      recommended: false,
+    },
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...executorOptionsSchema,
+          allowedCalls: {
+            type: 'array',
+            items: { type: 'string' },
+            uniqueItems: true,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      codeAfterSettle: 'This runs after `{{name}}()` on line {{line}} settled the promise, so its errors are lost',
+      addReturn: 'Return at `{{name}}()` on line {{line}} so nothing runs after it',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const recorder = createCodePathRecorder();
+    const collector = createExecutorCollector(context, options);
+    const allowedCalls = options.allowedCalls || DEFAULT_ALLOWED_CALLS;
+    const functions = [];
+
+    // Whether evaluating a node can change anything, not counting the
+    // functions it only creates
+    function hasSideEffects(node) {
+      if (!node || isFunction(node)) return false;
+      if (SIDE_EFFECT_TYPES.has(node.type)) return true;
+      if (node.type === 'UnaryExpression' && node.operator === 'delete') return true;
+
+      return (sourceCode.visitorKeys[node.type] || []).some(key => {
+        const child = node[key];
+        return Array.isArray(child) ? child.some(hasSideEffects) : hasSideEffects(child);
+      });
+    }
+
+    // Allowed cleanup calls, and anything in a `finally` block, which runs
+    // whether or not the promise settled
+    function isAllowed(statement, functionNode) {
+      for (let current = statement; current !== functionNode; current = current.parent) {
+        if (current.parent.type === 'TryStatement' && current.parent.finalizer === current) return true;
+      }
+      // A statement's own expression (`return clearTimeout(timer)`) is
+      // recorded without the statement around it
+      let expression = statement.type === 'ExpressionStatement' ? statement.expression : statement;
+      if (expression.type === 'ChainExpression') expression = expression.expression;
+      return expression.type === 'CallExpression' && matchesHandoff(expression, allowedCalls);
+    }
+
+    // Walks a function's code path carrying the settles that may have run
+    // last, and collects the statements they reach
+    function getStatementsAfterSettle(functionNode, settleCalls) {
+      const { codePath, segments } = recorder.getCodePath(functionNode);
+      const outStates = new Map();
+      const reached = new Map();
+      const worklist = [codePath.initialSegment];
+
+      while (worklist.length > 0) {
+        const segment = worklist.shift();
+        let state = new Set();
+        segment.prevSegments
+          .filter(prev => outStates.has(prev))
+          .forEach(prev => outStates.get(prev).forEach(callNode => state.add(callNode)));
+
+        for (const { type, node } of segments.get(segment.id).events) {
+          if (type === 'call' && settleCalls.has(node)) {
+            state = new Set([node]);
+          } else if (type === 'statement' && state.size > 0) {
+            const settles = reached.get(node) || new Set();
+            state.forEach(callNode => settles.add(callNode));
+            reached.set(node, settles);
+          }
+        }
+
+        if (outStates.has(segment) && outStates.get(segment).size === state.size) continue;
+        outStates.set(segment, state);
+        worklist.push(...segment.nextSegments);
+      }
+
+      return reached;
+    }
+
+    function checkFunction(functionNode, settleCalls) {
+      const reported = new Set();
+      const reached = getStatementsAfterSettle(functionNode, settleCalls);
+      const statements = [...reached.keys()].sort((a, b) => a.range[0] - b.range[0]);
+
+      for (const statement of statements) {
+        const body = statement.parent.body || statement.parent.consequent;
+        const previous = Array.isArray(body) ? body[body.indexOf(statement) - 1] : null;
+        const isSettle = [...settleCalls].some(callNode => isInside(callNode, statement));
+        if (isSettle || isAllowed(statement, functionNode) || !hasSideEffects(statement)) continue;
+
+        // A run of statements is reported at its first
+        reported.add(statement);
+        if (previous && reported.has(previous)) continue;
+
+        const [settle] = [...reached.get(statement)].sort((a, b) => b.range[0] - a.range[0]);
+        context.report({
+          node: statement,
+          messageId: 'codeAfterSettle',
+          data: { name: sourceCode.getText(settle.callee), line: settle.loc.start.line },
+          suggest: getReturnSuggestions(sourceCode, [settle], settleCalls),
+        });
+      }
+    }
+
+    function checkExecutor(executorFn) {
+      const { calls } = findResolverUses(sourceCode, executorFn);
+      const settleCalls = new Set(calls.keys());
+
+      // Callbacks run their own paths, and settle on them
+      functions
+        .filter(functionNode => isInside(functionNode, executorFn))
+        .forEach(functionNode => checkFunction(functionNode, settleCalls));
+    }
+
+    return {
+      ...recorder.listeners,
+      ...collector.listeners,
+
+      ':function'(node) {
+        functions.push(node);
+      },
+
+      'Program:exit'() {
+        for (const executorFn of collector.executors) {
+          checkExecutor(executorFn);
+        }
+      },
+    };
+  },
+};
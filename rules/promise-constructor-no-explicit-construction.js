@@ -0,0 +1,219 @@
+const { createPromiseConstructorMatcher, getExecutorFunction } = require('../lib/promise-executor');
+const { findResolverUses, getReferenceIndex } = require('../lib/resolver-references');
+const { isFunction } = require('../lib/code-path-recorder');
+const { isInside } = require('../lib/ast-helpers');
+const { executorOptionsSchema, isIgnoredExecutor } = require('../lib/executor-options');
+
+// Expressions that can replace a `new` expression without parentheses
+const PRIMARY_TYPES = new Set([
+  'CallExpression',
+  'MemberExpression',
+  'Identifier',
+  'ThisExpression',
+  'NewExpression',
+  'ArrayExpression',
+]);
+
+function isMethodCall(node, name) {
+  return (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    !node.callee.computed &&
+    node.callee.property.type === 'Identifier' &&
+    node.callee.property.name === name
+  );
+}
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Disallow Promise constructors that only forward the outcome of another promise',
+      category: 'Best Practices',
+      recommended: false,
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...executorOptionsSchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      explicitConstruction: 'This Promise constructor only forwards another promise\'s outcome; use `{{inner}}` directly',
+      useInner: 'Use `{{inner}}` directly; it rejects where this promise stays pending',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const sourceCode = context.sourceCode || context.getSourceCode();
+    const isPromiseConstructor = createPromiseConstructorMatcher(sourceCode, options);
+    const referenceIndex = getReferenceIndex(sourceCode.scopeManager);
+
+    // An identifier naming a global, not a variable declared in the file
+    function isGlobal(identifier) {
+      const reference = referenceIndex.get(identifier);
+      return !reference || !reference.resolved || reference.resolved.defs.length === 0;
+    }
+
+    // `Promise` or `globalThis.Promise`; a subclass or another library's
+    // constructor builds a different kind of promise than the inner one
+    function isNativePromise(callee) {
+      if (callee.type === 'Identifier') {
+        return callee.name === 'Promise' && isGlobal(callee);
+      }
+      return (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.object.type === 'Identifier' &&
+        callee.object.name === 'globalThis' &&
+        isGlobal(callee.object) &&
+        callee.property.type === 'Identifier' &&
+        callee.property.name === 'Promise'
+      );
+    }
+
+    // Whether a node inside the executor means something else outside it:
+    // the executor's own `this`, or a binding it declares (its `arguments`
+    // included) that the node does not declare itself
+    function usesExecutorScope(node, executorFn, inner, ownThis) {
+      if (!node) return false;
+      if (node.type === 'ThisExpression') return ownThis;
+
+      if (node.type === 'Identifier') {
+        const reference = referenceIndex.get(node);
+        const block = reference && reference.resolved && reference.resolved.scope.block;
+        return Boolean(block) && isInside(block, executorFn) && !isInside(block, inner);
+      }
+
+      // A nested non-arrow function has its own `this`
+      const nestedThis = ownThis && !(isFunction(node) && node.type !== 'ArrowFunctionExpression');
+      return (sourceCode.visitorKeys[node.type] || []).some(key => {
+        const child = node[key];
+        return Array.isArray(child)
+          ? child.some(item => usesExecutorScope(item, executorFn, inner, nestedThis))
+          : usesExecutorScope(child, executorFn, inner, nestedThis);
+      });
+    }
+
+    // `resolve`, or `value => resolve(value)`
+    function isForwarder(node, kind, references) {
+      if (!node) return false;
+      if (references.get(node) === kind) return true;
+
+      const [param] = node.type === 'ArrowFunctionExpression' ? node.params : [];
+      const { body } = node;
+      return Boolean(param) && param.type === 'Identifier' && node.params.length === 1 && (
+        body.type === 'CallExpression' &&
+        references.get(body.callee) === kind &&
+        body.arguments.length === 1 &&
+        body.arguments[0].type === 'Identifier' &&
+        body.arguments[0].name === param.name
+      );
+    }
+
+    // The promise whose outcome an expression forwards to the resolvers, as
+    // `{ inner, rejects }`: `inner.then(resolve, reject)` and
+    // `inner.then(resolve).catch(reject)` forward rejections too, while
+    // `inner.then(resolve)` and `resolve(await inner)` leave the promise
+    // pending when `inner` rejects
+    function getForwardedPromise(expression, references) {
+      if (isMethodCall(expression, 'then') && expression.arguments.length <= 2) {
+        const [onFulfilled, onRejected] = expression.arguments;
+        if (isForwarder(onFulfilled, 'resolve', references)) {
+          if (!onRejected) return { inner: expression.callee.object, rejects: false };
+          if (isForwarder(onRejected, 'reject', references)) return { inner: expression.callee.object, rejects: true };
+        }
+      }
+
+      if (isMethodCall(expression, 'catch') && expression.arguments.length === 1) {
+        const chain = expression.callee.object;
+        if (
+          isForwarder(expression.arguments[0], 'reject', references) &&
+          isMethodCall(chain, 'then') &&
+          chain.arguments.length === 1 &&
+          isForwarder(chain.arguments[0], 'resolve', references)
+        ) {
+          return { inner: chain.callee.object, rejects: true };
+        }
+      }
+
+      if (
+        expression.type === 'CallExpression' &&
+        references.get(expression.callee) === 'resolve' &&
+        expression.arguments.length === 1 &&
+        expression.arguments[0].type === 'AwaitExpression'
+      ) {
+        return { inner: expression.arguments[0].argument, rejects: false };
+      }
+
+      return null;
+    }
+
+    function getStatementExpression(statement) {
+      if (statement.type === 'ExpressionStatement') return statement.expression;
+      if (statement.type === 'ReturnStatement') return statement.argument;
+      return null;
+    }
+
+    function getFix(node, executorFn, inner) {
+      if (!isNativePromise(node.callee)) return null;
+      if (usesExecutorScope(inner, executorFn, inner, executorFn.type !== 'ArrowFunctionExpression')) {
+        return null;
+      }
+
+      // Comments outside the forwarded promise would be lost
+      const comments = sourceCode.getCommentsInside(node);
+      if (comments.some(comment => comment.range[0] < inner.range[0] || comment.range[1] > inner.range[1])) {
+        return null;
+      }
+
+      const text = sourceCode.getText(inner);
+      return fixer => fixer.replaceText(node, PRIMARY_TYPES.has(inner.type) ? text : `(${text})`);
+    }
+
+    return {
+      NewExpression(node) {
+        if (!isPromiseConstructor(node)) return;
+
+        if (isIgnoredExecutor(context, node, options)) return;
+
+        // Only an inline executor can be replaced
+        const executorFn = getExecutorFunction(node, sourceCode);
+        if (!executorFn || executorFn !== node.arguments[0]) return;
+
+        const statements = executorFn.body.type === 'BlockStatement' ? executorFn.body.body : [executorFn.body];
+        const { references } = findResolverUses(sourceCode, executorFn);
+
+        for (const statement of statements) {
+          const expression = executorFn.body === statement ? statement : getStatementExpression(statement);
+          const forwarded = expression && getForwardedPromise(expression, references);
+          if (!forwarded) continue;
+          const { inner, rejects } = forwarded;
+
+          // The resolvers must do nothing but forward the promise
+          const forwardsOnly = [...references.keys()].every(reference => isInside(reference, expression));
+          if (!forwardsOnly) return;
+
+          // Using the inner promise directly makes a rejection reject instead
+          // of leaving the promise pending, which is only suggested
+          const fix = statements.length === 1 ? getFix(node, executorFn, inner) : null;
+          const data = { inner: sourceCode.getText(inner) };
+          context.report({
+            node,
+            messageId: 'explicitConstruction',
+            data,
+            fix: rejects ? fix : null,
+            suggest: !rejects && fix ? [{ messageId: 'useInner', data, fix }] : [],
+          });
+          return;
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,52 @@
+const { createCodePathRecorder } = require('../lib/code-path-recorder');
+const {
+  executorOptionsSchema,
+  createExecutorCollector,
+  reportParameterProblems,
+} = require('../lib/executor-options');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Ensure Promise constructor executors declare resolve and reject parameters',
+      category: 'Possible Errors',
+      recommended: false,
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...executorOptionsSchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      unverifiableExecutor: 'Promise executor cannot be resolved to a function in this file',
+      missingResolve: 'Promise constructor must have a resolve parameter',
+      missingReject: 'Promise constructor must have a reject parameter',
+      unexpectedParameterName: 'Executor parameter `{{name}}` should be named {{expected}}',
+    },
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const recorder = createCodePathRecorder();
+    const collector = createExecutorCollector(context, options, true);
+
+    return {
+      ...recorder.listeners,
+      ...collector.listeners,
+
+      // A resolve-only executor is checked for failure paths once its code
+      // path is complete
+      'Program:exit'() {
+        for (const executorFn of collector.executors) {
+          reportParameterProblems(context, recorder, executorFn, options);
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,18 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+const promiseRules = require('eslint-plugin-promise-rules');
+
+module.exports = [
+  js.configs.recommended,
+  promiseRules.configs['flat/recommended'],
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: globals.node,
+    },
+    rules: {
+      'no-unused-vars': 'warn',
+    },
+  },
+];
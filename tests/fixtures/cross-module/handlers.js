@@ -0,0 +1,24 @@
+function handle(req, onSuccess, onError) {
+  if (req.valid) {
+    onSuccess(req.body);
+  } else {
+    onError(new Error('invalid request'));
+  }
+}
+
+function handleValid(req, onSuccess) {
+  if (req.valid) {
+    onSuccess(req.body);
+  }
+}
+
+const notifyTwice = (callback) => {
+  callback('first');
+  callback('second');
+};
+
+function each(items, callback) {
+  items.forEach(callback);
+}
+
+module.exports = { handle, handleValid, notifyTwice, each };
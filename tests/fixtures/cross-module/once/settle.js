@@ -0,0 +1,5 @@
+function settle(resolve) {
+  resolve('done');
+}
+
+module.exports = { settle };
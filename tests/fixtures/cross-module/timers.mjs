@@ -0,0 +1,11 @@
+export function later(callback, value) {
+  setTimeout(() => callback(value), 10);
+}
+
+export default function record(callback) {
+  recorded.last = callback;
+}
+
+export function poll(callback) {
+  setInterval(callback, 10);
+}
@@ -0,0 +1,7 @@
+const { settle } = require('./settle');
+
+function forward(resolve, reject) {
+  settle(resolve, reject);
+}
+
+module.exports = { forward };
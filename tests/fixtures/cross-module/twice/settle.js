@@ -0,0 +1,6 @@
+function settle(resolve) {
+  resolve('first');
+  resolve('second');
+}
+
+module.exports = { settle };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const plugin = require('..');
+const { Linter } = require('eslint');
+const pkg = require('../package.json');
+
+// Every preset's rules: strict swaps the callback rule for the exactly-one
+// rule, and all leaves parameter checks to promise-constructor-parameters
+const PRESET_RULES = {
+  recommended: {
+    'promise-constructor-callbacks': 'error',
+  },
+  strict: {
+    'promise-constructor-exactly-one-callback': 'error',
+    'promise-constructor-async-executor': 'error',
+    'promise-constructor-error-first-callbacks': 'error',
+    'promise-constructor-no-code-after-settle': 'error',
+  },
+  all: {
+    'promise-constructor-async-executor': 'error',
+    'promise-constructor-error-first-callbacks': 'error',
+    'promise-constructor-exactly-one-callback': ['error', { checkParameters: false }],
+    'promise-constructor-no-code-after-settle': 'error',
+    'promise-constructor-no-explicit-construction': 'error',
+    'promise-constructor-parameters': 'error',
+  },
+};
+
+describe('eslint-plugin-promise-rules', () => {
+  it('exposes plugin meta from package.json', () => {
+    expect(plugin.meta).toEqual({ name: pkg.name, version: pkg.version });
+  });
+
+  it('registers every rule in rules/', () => {
+    const ruleNames = fs.readdirSync(path.join(__dirname, '../rules'))
+      .filter(file => file.endsWith('.js'))
+      .map(file => path.basename(file, '.js'));
+
+    expect(Object.keys(plugin.rules).sort()).toEqual(ruleNames.sort());
+  });
+
+  it('ships legacy and flat presets side by side', () => {
+    for (const preset of ['recommended', 'strict', 'all']) {
+      expect(plugin.configs[preset].plugins).toEqual(['promise-rules']);
+      expect(plugin.configs[`flat/${preset}`].plugins).toEqual({ 'promise-rules': plugin });
+      expect(plugin.configs[`flat/${preset}`].rules).toEqual(plugin.configs[preset].rules);
+    }
+  });
+
+  it.each(Object.entries(PRESET_RULES))('enables the expected rules in %s', (preset, rules) => {
+    expect(plugin.configs[preset].rules).toEqual(Object.fromEntries(
+      Object.entries(rules).map(([ruleName, setting]) => [`promise-rules/${ruleName}`, setting])
+    ));
+  });
+
+  it('never enables both callback count rules', () => {
+    for (const preset of ['recommended', 'strict', 'all']) {
+      const ruleNames = Object.keys(plugin.configs[preset].rules);
+      expect(ruleNames.filter(ruleName => (
+        ruleName === 'promise-rules/promise-constructor-callbacks' ||
+        ruleName === 'promise-rules/promise-constructor-exactly-one-callback'
+      ))).toHaveLength(1);
+    }
+  });
+
+  it('reports an executor that never settles once with the flat presets', () => {
+    const linter = new Linter({ configType: 'flat' });
+    const code = 'new Promise((resolve, reject) => { console.log(resolve, reject); });';
+
+    for (const preset of ['recommended', 'strict', 'all']) {
+      const messages = linter.verify(code, [plugin.configs[`flat/${preset}`]]);
+      expect(messages.map(message => message.messageId)).toEqual(['noCallback']);
+    }
+  });
+});
@@ -0,0 +1,194 @@
+// Counts the segment lookups the rules' walks make, against the number of
+// segments recorded: a walk visiting each segment a bounded number of times
+// keeps the ratio constant however large the executor grows. Work outside
+// those walks is bounded by timing each rule against parsing the same file.
+const mockWork = { segments: 0, lookups: 0 };
+
+jest.mock('../lib/code-path-recorder', () => {
+  const actual = jest.requireActual('../lib/code-path-recorder');
+
+  return {
+    ...actual,
+    createCodePathRecorder() {
+      const recorder = actual.createCodePathRecorder();
+      const counted = new WeakSet();
+
+      return {
+        ...recorder,
+        getCodePath(node) {
+          const record = recorder.getCodePath(node);
+          if (record && !counted.has(record)) {
+            counted.add(record);
+            mockWork.segments += record.segments.size;
+
+            const get = record.segments.get.bind(record.segments);
+            record.segments.get = id => {
+              mockWork.lookups++;
+              return get(id);
+            };
+          }
+          return record;
+        },
+      };
+    },
+  };
+});
+
+const { Linter } = require('eslint');
+const plugin = require('..');
+
+// Lookups per recorded segment, across every rule
+const MAX_LOOKUPS_PER_SEGMENT = 10;
+
+// Time one rule may take, against parsing the same file; linear work stays
+// a few times the parse however large the file grows
+const MAX_TIME_PER_PARSE = 6;
+
+// Timed tests lint a large file several times
+const TIMING_TEST_TIMEOUT = 30000;
+
+// 20 sequential `if`s used to mean about a million explicit paths
+function sequentialIfs(count) {
+  const steps = Array.from({ length: count }, (_, i) => `
+          if (options.step${i}) {
+            state = transform${i}(state);
+          }`).join('');
+
+  return `
+        new Promise((resolve, reject) => {
+          let state = input;${steps}
+          if (state.ok) {
+            resolve(state);
+          } else {
+            reject(new Error('failed'));
+          }
+        });
+      `;
+}
+
+function loopOverSwitch(count) {
+  const cases = Array.from({ length: count }, (_, i) => `
+            case ${i}:
+              if (value > ${i}) {
+                return resolve(${i});
+              }
+              break;`).join('');
+
+  return `
+        new Promise((resolve, reject) => {
+          for (const value of values) {
+            switch (value) {${cases}
+            }
+          }
+          reject(new Error('no match'));
+        });
+      `;
+}
+
+// One executor choosing among `count` error-first callbacks
+function errorFirstSwitch(count) {
+  const cases = Array.from({ length: count }, (_, i) => `
+            case ${i}:
+              fs.readFile(path${i}, (err, data) => {
+                if (err) return reject(err);
+                resolve(data);
+              });
+              break;`).join('');
+
+  return `
+        new Promise((resolve, reject) => {
+          switch (key) {${cases}
+            default:
+              reject(new Error('unknown key'));
+          }
+        });
+      `;
+}
+
+// `count` executors, each wrapping one error-first callback
+function errorFirstExecutors(count) {
+  return Array.from({ length: count }, (_, i) => `
+        new Promise((resolve, reject) => {
+          fs.readFile(path${i}, (err, data) => {
+            if (err) return reject(err);
+            resolve(data);
+          });
+        });`).join('\n');
+}
+
+// Fastest of two runs, so a garbage collection pause does not count
+function time(run) {
+  let fastest = Infinity;
+  for (let i = 0; i < 2; i++) {
+    const start = process.hrtime.bigint();
+    run();
+    fastest = Math.min(fastest, Number(process.hrtime.bigint() - start));
+  }
+  return fastest;
+}
+
+const parseTimes = new Map();
+
+// Time linting with one rule takes, in multiples of parsing the file alone
+function timeRule(code, ruleName) {
+  const linter = new Linter();
+  linter.defineRule(ruleName, plugin.rules[ruleName]);
+  const config = { parserOptions: { ecmaVersion: 2018 } };
+
+  if (!parseTimes.has(code)) {
+    parseTimes.set(code, time(() => linter.verify(code, { ...config, rules: {} })));
+  }
+  return time(() => linter.verify(code, { ...config, rules: { [ruleName]: 'error' } })) / parseTimes.get(code);
+}
+
+function lint(code) {
+  const linter = new Linter();
+  linter.defineRules(Object.fromEntries(
+    Object.entries(plugin.rules).map(([name, rule]) => [`promise-rules/${name}`, rule])
+  ));
+
+  mockWork.segments = 0;
+  mockWork.lookups = 0;
+  const messages = linter.verify(code, {
+    parserOptions: { ecmaVersion: 2018 },
+    rules: plugin.configs.all.rules,
+  });
+
+  return { messages, work: { ...mockWork } };
+}
+
+describe('large executors', () => {
+  it.each([20, 200, 1000])('lints %i sequential ifs in linear work', count => {
+    const { messages, work } = lint(sequentialIfs(count));
+
+    expect(messages).toEqual([]);
+    expect(work.segments).toBeGreaterThan(count);
+    expect(work.lookups).toBeLessThan(work.segments * MAX_LOOKUPS_PER_SEGMENT);
+  });
+
+  it('lints a loop over a 500-case switch in linear work', () => {
+    const { messages, work } = lint(loopOverSwitch(500));
+
+    expect(messages).toEqual([]);
+    expect(work.segments).toBeGreaterThan(500);
+    expect(work.lookups).toBeLessThan(work.segments * MAX_LOOKUPS_PER_SEGMENT);
+  });
+
+  it('lints 1000 error-first callbacks in one executor in linear work', () => {
+    const { messages, work } = lint(errorFirstSwitch(1000));
+
+    expect(messages).toEqual([]);
+    expect(work.lookups).toBeLessThan(work.segments * MAX_LOOKUPS_PER_SEGMENT);
+  });
+
+  // Work outside segment lookups (scans over every executor, callback or
+  // call in the file) shows only in the time taken
+  describe.each([
+    ['1000 error-first callbacks in one executor', errorFirstSwitch(1000)],
+    ['1000 executors', errorFirstExecutors(1000)],
+  ])('%s', (name, code) => {
+    it.each(Object.keys(plugin.rules))('lints with %s in time linear in the file', ruleName => {
+      expect(timeRule(code, ruleName)).toBeLessThan(MAX_TIME_PER_PARSE);
+    }, TIMING_TEST_TIMEOUT);
+  });
+});
@@ -0,0 +1,69 @@
+// Lints the same importer twice in one process, editing a module it reaches
+// through another in between, as an editor integration would
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Linter } = require('eslint');
+const rule = require('../rules/promise-constructor-exactly-one-callback');
+
+const SETTLE_ONCE = `
+  function settle(resolve) {
+    resolve('first');
+  }
+  module.exports = { settle };
+`;
+
+const SETTLE_TWICE = `
+  function settle(resolve) {
+    resolve('first');
+    resolve('second');
+  }
+  module.exports = { settle };
+`;
+
+const FORWARD = `
+  const { settle } = require('./settle');
+  function forward(resolve, reject) {
+    settle(resolve, reject);
+  }
+  module.exports = { forward };
+`;
+
+const EXECUTOR = `
+  const { forward } = require('./forward');
+  new Promise((resolve, reject) => forward(resolve, reject));
+`;
+
+describe('module summaries', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'promise-rules-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function lint() {
+    const linter = new Linter();
+    linter.defineRule('promise-constructor-exactly-one-callback', rule);
+
+    return linter.verify(EXECUTOR, {
+      parserOptions: { ecmaVersion: 2018 },
+      rules: { 'promise-constructor-exactly-one-callback': ['error', { crossModule: true }] },
+    }, { filename: path.join(directory, 'executor.js') }).map(message => message.messageId);
+  }
+
+  it('recomputes a summary when a module it imports changes', () => {
+    fs.writeFileSync(path.join(directory, 'forward.js'), FORWARD);
+    fs.writeFileSync(path.join(directory, 'settle.js'), SETTLE_ONCE);
+    expect(lint()).toEqual([]);
+
+    fs.writeFileSync(path.join(directory, 'settle.js'), SETTLE_TWICE);
+    expect(lint()).toEqual(['multipleCallbacks']);
+
+    fs.writeFileSync(path.join(directory, 'settle.js'), SETTLE_ONCE);
+    expect(lint()).toEqual([]);
+  });
+});
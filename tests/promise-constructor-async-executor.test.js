@@ -0,0 +1,321 @@
+const { RuleTester } = require('eslint');
+const rule = require('../rules/promise-constructor-async-executor');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018 },
+});
+
+const cases = {
+  valid: [
+    // Synchronous executors are not checked
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fetchUser(id).then(resolve, reject);
+        });
+      `,
+    },
+    // Every await inside a try whose catch rejects
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            const user = await fetchUser(id);
+            resolve(await loadProfile(user));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      `,
+    },
+    // A catch clause falling back to resolve still settles
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await readCache(key));
+          } catch (error) {
+            resolve(null);
+          }
+        });
+      `,
+    },
+    // Awaits in a nested async function belong to that function
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          setTimeout(async () => {
+            await flush();
+          });
+          resolve();
+        });
+      `,
+    },
+    // Ignored by comment marker
+    {
+      code: `
+        // promise-legacy: rejection handled by the caller
+        new Promise(async resolve => {
+          resolve(await fetchUser(id));
+        });
+      `,
+      options: [{ ignoreComment: 'promise-legacy' }],
+    },
+    // Throws inside a try whose catch rejects, and in nested functions
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            if (!id) throw new Error('missing id');
+            resolve(await fetchUser(id));
+          } catch (error) {
+            reject(error);
+          }
+          setTimeout(() => {
+            throw new Error('unrelated');
+          });
+        });
+      `,
+    },
+    // A catch clause settling after its own nested try
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (e) {
+            try {
+              cleanup();
+            } catch (e2) {}
+            reject(e);
+          }
+        });
+      `,
+    },
+    // An error in the catch clause's cleanup is caught before it rejects
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (e) {
+            try {
+              await cleanup();
+            } catch (e2) {}
+            reject(e);
+          }
+        });
+      `,
+    },
+    // A catch clause ending in a configured terminating call
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (error) {
+            fatal(error);
+          }
+        });
+      `,
+      options: [{ terminatingCalls: ['fatal'] }],
+    },
+    // A catch clause handing reject to an API described in shared settings
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (error) {
+            queue.push(error, reject);
+          }
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { 'queue.push': { 1: 'once' } } } },
+    },
+  ],
+
+  invalid: [
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          const user = await fetchUser(id);
+          resolve(user);
+        });
+      `,
+      errors: [{
+        messageId: 'uncaughtAwait',
+        data: { name: 'reject', point: '`await`' },
+        type: 'AwaitExpression',
+        line: 3,
+      }],
+    },
+    // Catch clause that only logs
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (error) {
+            console.error(error);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'unsettledCatch',
+        line: 4,
+      }],
+    },
+    // An await in the catch clause is outside the try block
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (error) {
+            await logError(error);
+            reject(error);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'uncaughtAwait',
+        line: 6,
+      }],
+    },
+    // A try/finally does not catch
+    {
+      code: `
+        new Promise(async (resolve, fail) => {
+          try {
+            resolve(await fetchUser(id));
+          } finally {
+            release();
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'uncaughtAwait',
+        data: { name: 'fail', point: '`await`' },
+      }],
+    },
+    // for await loops
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          const rows = [];
+          for await (const row of stream) {
+            rows.push(row);
+          }
+          resolve(rows);
+        });
+      `,
+      errors: [{
+        messageId: 'uncaughtAwait',
+        data: { name: 'reject', point: '`for await` loop' },
+        type: 'ForOfStatement',
+      }],
+    },
+    // Async executor passed by reference
+    {
+      code: `
+        async function load(resolve, reject) {
+          resolve(await fetchUser(id));
+        }
+        new Promise(load);
+      `,
+      errors: [{
+        messageId: 'uncaughtAwait',
+        line: 3,
+      }],
+    },
+    // A throw escapes like a rejection
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          if (!id) throw new Error('missing id');
+          resolve(id);
+        });
+      `,
+      errors: [{
+        messageId: 'uncaughtThrow',
+        data: { name: 'reject', point: '`throw`' },
+        type: 'ThrowStatement',
+        line: 3,
+      }],
+    },
+    // So does a call to a function that always throws
+    {
+      code: `
+        function fail(message) {
+          throw new Error(message);
+        }
+        new Promise(async (resolve, reject) => {
+          if (!id) fail('missing id');
+          resolve(id);
+        });
+      `,
+      errors: [{
+        messageId: 'uncaughtThrow',
+        data: { name: 'reject', point: '`fail()` call' },
+        type: 'CallExpression',
+        line: 6,
+      }],
+    },
+    // A throw caught by a catch clause that never settles
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            if (!id) throw new Error('missing id');
+            resolve(await fetchUser(id));
+          } catch (error) {
+            console.error(error);
+          }
+        });
+      `,
+      errors: [
+        { messageId: 'unsettledCatch', data: { point: '`throw`' }, line: 4 },
+        { messageId: 'unsettledCatch', data: { point: '`await`' }, line: 5 },
+      ],
+    },
+    // A catch clause settling on some paths only
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (error) {
+            if (error.fatal) reject(error);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'unsettledCatch',
+        data: { point: '`await`' },
+        line: 4,
+      }],
+    },
+    // A handoff to an unknown API may never call back
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(await fetchUser(id));
+          } catch (error) {
+            queue.push(error, reject);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'unsettledCatch',
+        data: { point: '`await`' },
+        line: 4,
+      }],
+    },
+  ],
+};
+
+ruleTester.run('promise-constructor-async-executor', rule, cases);
+
+console.log('All promise-constructor-async-executor tests passed!');
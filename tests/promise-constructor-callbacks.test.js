@@ -0,0 +1,766 @@
+const path = require('path');
+const { RuleTester } = require('eslint');
+const rule = require('../rules/promise-constructor-callbacks');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018 },
+});
+
+// Linted as if it sat next to the modules it imports
+const crossModuleFile = path.join(__dirname, 'fixtures/cross-module/executor.js');
+
+const cases = {
+  valid: [
+    // Basic valid cases
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve('success');
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          reject(new Error('failed'));
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            resolve('success');
+          } else {
+            reject(new Error('failed'));
+          }
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            const result = riskyOperation();
+            resolve(result);
+          } catch (error) {
+            reject(error);
+          }
+        });
+      `,
+    },
+    // Loops, labels and switch fall-through
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            if (item.ok) {
+              return resolve(item);
+            }
+          }
+          reject(new Error('not found'));
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          switch (status) {
+            case 'ok':
+            case 'cached':
+              resolve(status);
+              break;
+            default:
+              reject(new Error(status));
+          }
+        });
+      `,
+    },
+    // A synchronous throw rejects the promise
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (!input) {
+            throw new Error('no input');
+          }
+          resolve(input);
+        });
+      `,
+    },
+    // Aliases of resolve/reject are followed
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const [ok, fail] = [resolve, reject];
+          if (condition) {
+            ok('success');
+          } else {
+            fail(new Error('failed'));
+          }
+        });
+      `,
+    },
+    // Non-Promise constructors should be ignored
+    {
+      code: `
+        new MyClass((a, b) => {
+          // This is not a Promise, should be ignored
+        });
+      `,
+    },
+    // Handing resolve/reject to another function settles the promise
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          setTimeout(resolve, 100);
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          other.then(resolve, reject);
+        });
+      `,
+    },
+    // Deferred callbacks settle on all their paths
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (error, data) => {
+            if (error) {
+              return reject(error);
+            }
+            resolve(data);
+          });
+        });
+      `,
+    },
+    // Ternary settles on both branches
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          isValid ? resolve(value) : reject(new Error('invalid'));
+        });
+      `,
+    },
+    // Logical expression settles on one side, the statement after on both
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          isValid || reject(new Error('invalid'));
+          resolve(value);
+        });
+      `,
+    },
+    // Resolve-only executor allowed when nothing can fail
+    {
+      code: `
+        new Promise(resolve => {
+          setTimeout(resolve, 100);
+        });
+      `,
+      options: [{ allowResolveOnly: true }],
+    },
+    // Parameter checks left to promise-constructor-parameters
+    {
+      code: `
+        new Promise(() => {
+          start();
+        });
+      `,
+      options: [{ checkParameters: false }],
+    },
+    // Executor ignored by comment marker
+    {
+      code: `
+        /* promise-rules-ignore */
+        new Promise((resolve, reject) => {
+          start();
+        });
+      `,
+      options: [{ ignoreComment: 'promise-rules-ignore' }],
+    },
+    // Constructors that are not Promises are left alone
+    {
+      code: `
+        new Worker((resolve, reject) => {
+          start();
+        });
+      `,
+    },
+    // A reassigned alias may hold anything
+    {
+      code: `
+        let P = require('bluebird');
+        P = createPool;
+        new P((resolve, reject) => {
+          start();
+        });
+      `,
+    },
+    // process.exit() ends the process before the promise matters
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (!config) {
+            process.exit(1);
+          }
+          resolve(config);
+        });
+      `,
+    },
+    // Resolvers reached through a rest parameter
+    {
+      code: `
+        new Promise((...args) => {
+          load().then(args[0], args[1]);
+        });
+      `,
+    },
+    // Configured never-returning function
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (!config) {
+            abort();
+          } else {
+            resolve(config);
+          }
+        });
+      `,
+      options: [{ terminatingCalls: ['abort'] }],
+    },
+    // Indirect calls settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (ready) {
+            resolve.call(null, 'ready');
+          } else {
+            Reflect.apply(reject, null, [new Error('not ready')]);
+          }
+        });
+      `,
+    },
+    // Stream wrapper listening for 'end' and 'error'
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          stream.on('end', () => resolve(body)).on('error', reject);
+        });
+      `,
+    },
+    // Error-first callback settling on every path, passed to an unknown API
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          db.query(sql, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          });
+        });
+      `,
+    },
+    // A chain of helpers longer than helperDepth
+    {
+      code: `
+        function d1(ok, fail) { d2(ok, fail); }
+        function d2(ok, fail) { d3(ok, fail); }
+        function d3(ok, fail) { ok(); }
+        new Promise((resolve, reject) => d1(resolve, reject));
+      `,
+    },
+    // A callback run again and again settles on a later run
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const timer = setInterval(() => {
+            if (ready()) {
+              clearInterval(timer);
+              resolve();
+            }
+          }, 100);
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const xhr = new XMLHttpRequest();
+          xhr.onreadystatechange = () => {
+            if (xhr.readyState === 4) resolve(xhr.responseText);
+          };
+          xhr.open('GET', url);
+          xhr.send();
+        });
+      `,
+    },
+  ],
+
+  invalid: [
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const data = fetchData();
+          // Neither resolve nor reject called
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve) => {
+          resolve('done');
+        });
+      `,
+      output: `
+        new Promise((resolve, reject) => {
+          resolve('done');
+        });
+      `,
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+    {
+      code: `
+        new Promise(() => {
+          // No parameters at all
+        });
+      `,
+      errors: [{
+        messageId: 'missingResolve',
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject4) => {
+          if (condition) {
+            resolve('success');
+          }
+          // Missing else path - this should fail
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const data = getData();
+          if (data.valid) {
+            resolve(data.value);
+          }
+          // What happens when data.valid is false? No callback called!
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          check: {
+            if (!input) break check;
+            resolve(input);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          switch (status) {
+            case 'ok':
+              resolve(status);
+              break;
+            case 'failed':
+              reject(new Error(status));
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Shadowing parameter is not the executor's resolve
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          items.forEach((resolve) => resolve());
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // A listener without an error listener leaves failures pending
+    {
+      code: `
+        new Promise((resolve, fail) => {
+          emitter.on('done', resolve);
+        });
+      `,
+      errors: [{
+        messageId: 'missingErrorListener',
+        data: { emitter: 'emitter', name: 'fail' },
+      }],
+    },
+    // An error listener alone may never settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          emitter.on('error', reject);
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Deferred callback can finish without settling
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (error, data) => {
+            if (error) return;
+            resolve(data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'unsettledCallback',
+      }],
+    },
+    // `&&` may skip the only settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          isReady && resolve();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // `??` may skip the only settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          value ?? reject(new Error('missing'));
+        });
+      `,
+      parserOptions: { ecmaVersion: 2020 },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Optional call may skip the only settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve?.(value);
+        });
+      `,
+      parserOptions: { ecmaVersion: 2020 },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Missing reject is added without parentheses to repair
+    {
+      code: `
+        new Promise(function (resolve) {
+          resolve('done');
+        });
+      `,
+      output: `
+        new Promise(function (resolve, reject) {
+          resolve('done');
+        });
+      `,
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+    // Else skeleton suggested for the if leaving the other path unsettled
+    {
+      code: `
+        new Promise((resolve, fail) => {
+          if (ready) resolve();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        suggestions: [{
+          messageId: 'addElse',
+          data: { name: 'fail' },
+          output: `
+        new Promise((resolve, fail) => {
+          if (ready) resolve(); else {
+            fail(new Error('Unhandled case'));
+          }
+        });
+      `,
+        }],
+      }],
+    },
+    // Resolve-only executor still needs to settle
+    {
+      code: `
+        new Promise(resolve => {
+          if (ready) resolve();
+        });
+      `,
+      options: [{ allowResolveOnly: true }],
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Parameter naming convention
+    {
+      code: `
+        new Promise((ok, fail) => {
+          ok();
+        });
+      `,
+      options: [{ parameterNames: { resolve: ['resolve', 'res'] } }],
+      errors: [{
+        messageId: 'unexpectedParameterName',
+        data: { name: 'ok', expected: '`resolve` or `res`' },
+      }],
+    },
+    // Global member paths
+    {
+      code: `
+        new globalThis.Promise((resolve, reject) => {
+          start();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Configured constructor names
+    {
+      code: `
+        new Bluebird((resolve, reject) => {
+          start();
+        });
+      `,
+      options: [{ promiseConstructors: ['Promise', 'Bluebird'] }],
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // require() alias of a Promise library
+    {
+      code: `
+        const P = require('bluebird');
+        new P((resolve, reject) => {
+          start();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Destructured Promise export
+    {
+      code: `
+        const { Promise: ES6Promise } = require('es6-promise');
+        new ES6Promise((resolve, reject) => {
+          start();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Promise export of a module object
+    {
+      code: `
+        const Q = require('q');
+        new Q.Promise((resolve, reject) => {
+          start();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // import aliases
+    {
+      code: `
+        import Bluebird from 'bluebird';
+        import { Promise as Polyfill } from 'es6-promise';
+        new Bluebird((resolve, reject) => {
+          start();
+        });
+        new Polyfill((resolve, reject) => {
+          start();
+        });
+      `,
+      parserOptions: { ecmaVersion: 2018, sourceType: 'module' },
+      errors: [{
+        messageId: 'noCallback',
+        line: 4,
+      }, {
+        messageId: 'noCallback',
+        line: 7,
+      }],
+    },
+    // Configured module
+    {
+      code: `
+        import Task from './task';
+        new Task((resolve, reject) => {
+          start();
+        });
+      `,
+      parserOptions: { ecmaVersion: 2018, sourceType: 'module' },
+      options: [{ promiseModules: ['./task'] }],
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Subclass declared in the same file
+    {
+      code: `
+        class CancellablePromise extends Promise {}
+        const Task = class extends CancellablePromise {};
+        new Task((resolve, reject) => {
+          start();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Executor passed by name
+    {
+      code: `
+        function executor(resolve, reject) {
+          if (ready) {
+            resolve();
+          }
+        }
+        new Promise(executor);
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        line: 2,
+      }],
+    },
+    // Rest parameter element called on one path only
+    {
+      code: `
+        new Promise((...args) => {
+          if (ready) {
+            args[0]('ready');
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Same-file helper leaving a path unsettled
+    {
+      code: `
+        const handle = (req, onSuccess, onError) => {
+          if (req.valid) {
+            onSuccess(req.body);
+          }
+        };
+        new Promise((resolve, reject) => handle(req, resolve, reject));
+      `,
+      errors: [{
+        messageId: 'unsettledHelper',
+        data: { name: 'handle' },
+        type: 'ArrowFunctionExpression',
+      }],
+    },
+    // Imported function that never calls the resolver it is given
+    {
+      code: `
+        import record from './timers.mjs';
+        new Promise((resolve, reject) => {
+          record(resolve);
+        });
+      `,
+      filename: crossModuleFile,
+      parserOptions: { sourceType: 'module' },
+      options: [{ crossModule: true, otherHandoffs: 'guaranteed' }],
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Bound alias called on one path only
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const done = resolve.bind(null, 'ready');
+          if (ready) {
+            done();
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Callback to an API that may never call it
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          cache.get(key, value => resolve(value));
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { 'cache.get': { 1: 'maybe' } } } },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // A throw in an async executor rejects a promise nobody awaits
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          if (!input) {
+            throw new Error('no input');
+          }
+          resolve(input);
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        type: 'ArrowFunctionExpression',
+      }],
+    },
+    // A callback settling on some paths only, passed to an unknown API
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          doSomething(value => {
+            if (value) resolve(value);
+          });
+        });
+      `,
+      errors: [
+        { messageId: 'noCallback', line: 2 },
+        { messageId: 'unsettledCallback', line: 3 },
+      ],
+    },
+  ],
+};
+
+ruleTester.run('promise-constructor-callbacks', rule, cases);
+
+console.log('All promise-constructor-callbacks tests passed!');
@@ -0,0 +1,346 @@
+const { RuleTester } = require('eslint');
+const rule = require('../rules/promise-constructor-error-first-callbacks');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018 },
+});
+
+const cases = {
+  valid: [
+    // Guard clause rejecting with the error
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => {
+            if (err) return reject(err);
+            resolve(data);
+          });
+        });
+      `,
+    },
+    // Both branches of a conditional expression
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => err ? reject(err) : resolve(data));
+        });
+      `,
+    },
+    // Negated and null checks
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          db.get(key, (error, row) => {
+            if (!error) {
+              resolve(row);
+            } else {
+              reject(error);
+            }
+          });
+          db.get(other, (error, row) => {
+            if (error !== null) {
+              return reject(error);
+            }
+            resolve(row);
+          });
+        });
+      `,
+    },
+    // Rethrown into a catch clause that rejects
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => {
+            try {
+              if (err) throw err;
+              resolve(JSON.parse(data));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          });
+        });
+      `,
+    },
+    // Rejecting from a nested callback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          connect((err, client) => {
+            if (err) {
+              client.close(() => reject(err));
+              return;
+            }
+            resolve(client);
+          });
+        });
+      `,
+    },
+    // Iteration and promise callbacks are not error-first
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          errors.forEach(error => console.error(error));
+          source.catch(error => console.error(error));
+          resolve();
+        });
+      `,
+    },
+    // Callbacks outside executors are not checked
+    {
+      code: `
+        fs.readFile(path, (err, data) => console.log(data));
+      `,
+    },
+    // Custom error parameter names
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          request(url, (err, body) => resolve(body));
+        });
+      `,
+      options: [{ errorNames: ['failure'] }],
+    },
+    // Forwarding the error to a same-file helper that rejects
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          function fail(error) {
+            cleanup();
+            reject(error);
+          }
+          fs.readFile(path, (err, data) => {
+            if (err) {
+              fail(err);
+              return;
+            }
+            resolve(data);
+          });
+        });
+      `,
+    },
+    // Through a helper handed reject, and one calling another closure
+    {
+      code: `
+        function rejectWith(done, error) {
+          done(error);
+        }
+        new Promise((resolve, reject) => {
+          const finish = error => rejectWith(reject, error);
+          const fail = error => finish(error);
+          fs.readFile(path, (err, data) => {
+            if (err) return fail(err);
+            resolve(data);
+          });
+        });
+      `,
+    },
+    // Combined and typeof checks on the error
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => {
+            if (typeof err !== 'undefined' && err) {
+              reject(err);
+              return;
+            }
+            resolve(data);
+          });
+          fs.readFile(other, (err, data) => {
+            if ('undefined' === typeof err || !err) return resolve(data);
+            reject(err);
+          });
+        });
+      `,
+    },
+    // A rejecting function passed to a call, inline or by name
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => {
+            if (err) return setImmediate(() => reject(err));
+            resolve(data);
+          });
+          fs.readFile(other, (err, data) => {
+            const fail = () => reject(err);
+            if (err) return process.nextTick(fail);
+            resolve(data);
+          });
+        });
+      `,
+    },
+  ],
+
+  invalid: [
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => resolve(data));
+        });
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+        data: { name: 'err', reject: 'reject' },
+        type: 'Identifier',
+        line: 3,
+        suggestions: [{
+          messageId: 'rejectError',
+          output: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => { if (err) return reject(err); return resolve(data); });
+        });
+      `,
+        }],
+      }],
+    },
+    // The error is only logged
+    {
+      code: `
+        new Promise((resolve, fail) => {
+          fs.readFile(path, (error, data) => {
+            if (error) console.error(error);
+            resolve(data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+        data: { name: 'error', reject: 'fail' },
+        suggestions: [{
+          messageId: 'rejectError',
+          output: `
+        new Promise((resolve, fail) => {
+          fs.readFile(path, (error, data) => {
+            if (error) return fail(error);
+            if (error) console.error(error);
+            resolve(data);
+          });
+        });
+      `,
+        }],
+      }],
+    },
+    // An uncaught throw in a deferred callback never reaches reject
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => {
+            if (err) throw err;
+            resolve(data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+      }],
+    },
+    // Known error-first API, whatever the parameter is called
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.stat(path, (problem, stats) => { resolve(stats); });
+        });
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+        data: { name: 'problem', reject: 'reject' },
+        suggestions: [{
+          messageId: 'rejectError',
+          output: `
+        new Promise((resolve, reject) => {
+          fs.stat(path, (problem, stats) => { if (problem) return reject(problem); resolve(stats); });
+        });
+      `,
+        }],
+      }],
+    },
+    // Error-first APIs described in shared settings
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          db.query(sql, (failure, rows) => resolve(rows));
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { 'db.query': { last: 'error-first' } } } },
+      errors: [{
+        messageId: 'unforwardedError',
+      }],
+    },
+    // Executor passed by reference
+    {
+      code: `
+        function load(resolve, reject) {
+          fs.readFile(path, (err, data) => {});
+        }
+        new Promise(load);
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+        suggestions: [{
+          messageId: 'rejectError',
+          output: `
+        function load(resolve, reject) {
+          fs.readFile(path, (err, data) => { if (err) return reject(err); });
+        }
+        new Promise(load);
+      `,
+        }],
+      }],
+    },
+    // A helper that never rejects does not handle the error
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          function report(error) {
+            console.error(error);
+          }
+          fs.readFile(path, (err, data) => {
+            if (err) {
+              report(err);
+              return;
+            }
+            resolve(data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+        line: 6,
+      }],
+    },
+    // A check on something else besides the error says nothing about it
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => {
+            if (err && retries > 0) return reject(err);
+            resolve(data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+      }],
+    },
+    // A rejecting function that is only created never runs
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => {
+            if (err) {
+              const later = () => reject(err);
+              return;
+            }
+            resolve(data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'unforwardedError',
+      }],
+    },
+  ],
+};
+
+ruleTester.run('promise-constructor-error-first-callbacks', rule, cases);
+
+console.log('All promise-constructor-error-first-callbacks tests passed!');
@@ -1,3 +1,4 @@
+const path = require('path');
 const { RuleTester } = require('eslint');
 const rule = require('../rules/promise-constructor-exactly-one-callback');
 
@@ -5,6 +6,9 @@ const ruleTester = new RuleTester({
   parserOptions: { ecmaVersion: 2018 },
 });
 
+// Linted as if it sat next to the modules it imports
+const crossModuleFile = path.join(__dirname, 'fixtures/cross-module/executor.js');
+
 const cases = {
   valid: [
     // Valid: Single resolve
@@ -182,353 +186,2353 @@ const cases = {
         });
       `,
     },
-  ],
-
-  invalid: [
-    // Invalid: No callbacks
+    // Valid: break out of for...of before settling once
     {
       code: `
         new Promise((resolve, reject) => {
-          const data = fetchData();
+          let found;
+          for (const item of items) {
+            if (item.ok) {
+              found = item;
+              break;
+            }
+          }
+          if (found) {
+            resolve(found);
+          } else {
+            reject(new Error('not found'));
+          }
         });
       `,
-      errors: [{
-        messageId: 'noCallback',
-      }],
     },
-    // Invalid: If without else, no fallback
+    // Valid: return from for...in, fallback after the loop
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition) {
-            resolve('success');
+          for (const key in cache) {
+            if (key === wanted) {
+              return resolve(cache[key]);
+            }
           }
+          reject(new Error('missing'));
         });
       `,
-      errors: [{
-        messageId: 'noCallback',
-      }],
     },
-    // Invalid: Multiple callbacks in sequence
+    // Valid: continue skips items, settle after the loop
     {
       code: `
         new Promise((resolve, reject) => {
-          resolve('success');
-          reject(new Error('error'));
+          for (const item of items) {
+            if (!item) continue;
+            handle(item);
+          }
+          resolve();
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Multiple callbacks in same branch
+    // Valid: labeled break to the fallback
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition) {
-            resolve('success');
-            reject(new Error('also error'));
-          } else {
-            resolve('else success');
+          check: {
+            if (!input) break check;
+            return resolve(input);
           }
+          reject(new Error('no input'));
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Missing parameters
+    // Valid: empty case falls through into a settling case
     {
       code: `
-        new Promise((resolve) => {
-          resolve('missing reject param');
+        new Promise((resolve, reject) => {
+          switch (status) {
+            case 'ok':
+            case 'cached':
+              resolve(status);
+              break;
+            default:
+              reject(new Error(status));
+          }
         });
       `,
-      errors: [{
-        messageId: 'missingParameters',
-      }],
     },
-    // Invalid: If has callback but no else and no return
+    // Valid: aliases of resolve/reject are followed
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const done = resolve;
+          done('aliased');
+        });
+      `,
+    },
+    // Valid: destructured aliases
     {
       code: `
         new Promise((resolve, reject) => {
+          const [ok, fail] = [resolve, reject];
+          const { settle } = { settle: ok };
           if (condition) {
-            resolve('success');
+            settle('success');
+          } else {
+            fail(new Error('failed'));
           }
-          reject(new Error('fallback'));
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Return in if only, callback after
+    // Valid: a shadowing parameter is not the executor's resolve
     {
       code: `
         new Promise((resolve, reject) => {
-          if (shouldReturn) {
-            return;
+          function log(resolve) {
+            resolve('logged');
           }
-          resolve('success');
+          log(console.log);
+          resolve('done');
         });
       `,
-      errors: [{
-        messageId: 'noCallback',
-      }],
     },
-    // Invalid: Return in else only, callback after
+    // Valid: resolve handed off to a timer
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition) {
-            resolve('success');
-          } else {
-            return;
-          }
+          setTimeout(resolve, 100);
         });
       `,
-      errors: [{
-        messageId: 'noCallback',
-      }],
     },
-    // Invalid: resolve then return on new line, then another callback
+    // Valid: both resolvers handed off to then
     {
       code: `
         new Promise((resolve, reject) => {
-          resolve('success');
-          return;
-          reject(new Error('unreachable but still invalid'));
+          other.then(resolve, reject);
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: return on new line after resolve, then another callback
+    // Valid: a then/catch chain hands off once
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition) {
-            resolve('success');
-            return;
-          }
-          resolve('fallback'); // This creates a potential second callback
+          source.then(resolve).catch(reject);
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Try-catch-finally with callback in finally
+    // Valid: once() listeners for success and error settle once between them
     {
       code: `
         new Promise((resolve, reject) => {
-          try {
-            resolve(riskyOperation());
-          } catch (error) {
-            reject(error);
-          } finally {
-            resolve('finally callback'); // Invalid
-          }
+          emitter.once('done', resolve);
+          emitter.once('error', reject);
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Return in if only, multiple callbacks after
+    // Valid: error-first callback settles on both branches
     {
       code: `
         new Promise((resolve, reject) => {
-          if (shouldReturn) {
-            return;
-          }
-          resolve('success');
-          reject(new Error('error'));
+          fs.readFile(path, (error, data) => error ? reject(error) : resolve(data));
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Return in else only, callback in if and after
+    // Valid: custom guaranteed handoff
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition) {
-            resolve('success');
-          } else {
-            return;
-          }
-          reject(new Error('fallback'));
+          retry(task, resolve, reject);
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
+      options: [{ guaranteedHandoffs: ['retry'] }],
     },
-    // Invalid: Callback after try-catch when both have callbacks
+    // Valid: every handoff treated as guaranteed
     {
       code: `
         new Promise((resolve, reject) => {
-          try {
-            resolve(riskyOperation());
-          } catch (error) {
-            reject(error);
-          }
-          resolve('extra callback');
+          queue.add(resolve);
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
+      options: [{ otherHandoffs: 'guaranteed' }],
     },
-    // Invalid: Multiple callbacks in nested conditions
+    // Valid: deferred settle is handed off once, work after it is synchronous
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition1) {
-            if (condition2) {
-              resolve('nested success');
-              resolve('duplicate in nested');
+          setTimeout(() => {
+            if (condition) {
+              resolve('delayed');
             } else {
-              reject(new Error('nested error'));
+              reject(new Error('delayed'));
+            }
+          }, 100);
+          startWork();
+        });
+      `,
+    },
+    // Valid: callback and resolver handed to the same chain
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          source.then(value => resolve(transform(value))).catch(reject);
+        });
+      `,
+    },
+    // Valid: local helper called once per path
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          function finish(error, value) {
+            if (error) {
+              reject(error);
+            } else {
+              resolve(value);
             }
+          }
+          if (cached) {
+            finish(null, cached);
           } else {
-            resolve('main success');
+            finish(new Error('not cached'));
           }
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Switch statement with fallthrough causing multiple callbacks
+    // Valid: IIFE runs synchronously
     {
       code: `
         new Promise((resolve, reject) => {
-          switch (status) {
-            case 'success':
-              resolve('ok');
-            case 'partial': // No break, falls through
-              resolve('partial ok');
-              break;
-            default:
-              reject(new Error('fail'));
+          (() => {
+            resolve('now');
+          })();
+        });
+      `,
+    },
+    // Valid: ternary settles once on each branch
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          isValid ? resolve(value) : reject(new Error('invalid'));
+        });
+      `,
+    },
+    // Valid: nested ternaries
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          cached ? resolve(cached) : fresh ? resolve(fresh) : reject(new Error('missing'));
+        });
+      `,
+    },
+    // Valid: break right after the settle leaves the loop
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          search: {
+            for (const item of items) {
+              if (item.ok) {
+                resolve(item);
+                break search;
+              }
+            }
+            reject(new Error('not found'));
           }
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Callback in loop (potential multiple executions)
+    // Valid: return right after the settle in a while loop
     {
       code: `
         new Promise((resolve, reject) => {
-          for (let i = 0; i < items.length; i++) {
-            if (items[i].isValid()) {
-              resolve(items[i]);
+          while (queue.length) {
+            const job = queue.shift();
+            if (job.done) {
+              return resolve(job);
             }
           }
-          reject(new Error('no valid items'));
+          reject(new Error('queue drained'));
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: Both sync and async callbacks
+    // Valid: forEach callback that does not settle
     {
       code: `
         new Promise((resolve, reject) => {
-          resolve('immediate');
-          setTimeout(() => {
-            resolve('delayed');
-          }, 100);
+          items.forEach(item => process(item));
+          resolve(items);
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
     },
-    // Invalid: No callback in complete if-else structure
+    // Valid: resolve-only executor allowed when nothing can fail
+    {
+      code: `
+        new Promise(resolve => {
+          emitter.once('ready', resolve);
+        });
+      `,
+      options: [{ allowResolveOnly: true }],
+    },
+    // Valid: file ignored by glob
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition) {
-            console.log('condition true');
+          resolve(1);
+          resolve(2);
+        });
+      `,
+      filename: 'test/fixtures/double-settle.js',
+      options: [{ ignoreFiles: ['test/fixtures/**'] }],
+    },
+    // Valid: hoisted executor declared after its use
+    {
+      code: `
+        const ready = new Promise(waitForLoad);
+        function waitForLoad(resolve, reject) {
+          if (document.readyState === 'complete') {
+            resolve();
           } else {
-            console.log('condition false');
+            window.addEventListener('load', () => resolve(), { once: true });
+            window.addEventListener('error', reject, { once: true });
           }
-        });
+        }
       `,
-      errors: [{
-        messageId: 'noCallback',
-      }],
     },
-    // Invalid: Callback only in some branches of switch
+    // Valid: factory executors are skipped unless unverifiable ones are reported
+    {
+      code: `
+        new Promise(makeExecutor(options));
+      `,
+    },
+    // Valid: process.exit() ends the process, so the path needs no settle
     {
       code: `
         new Promise((resolve, reject) => {
-          switch (status) {
-            case 'success':
-              resolve('ok');
-              break;
-            case 'error':
-              // No callback here
-              break;
-            default:
-              reject(new Error('default'));
+          if (!config) {
+            console.error('missing config');
+            process.exit(1);
           }
+          resolve(config);
         });
       `,
-      errors: [{
-        messageId: 'noCallback',
-      }],
     },
-    // Invalid: Return resolve with additional callback
+    // Valid: Everything that may throw runs before the settle in the try block
     {
       code: `
         new Promise((resolve, reject) => {
-          if (condition) {
-            return resolve('success');
+          try {
+            const started = new Date();
+            const value = compute(started);
+            resolve(value);
+          } catch (error) {
+            reject(error);
+          } finally {
+            cleanup();
           }
-          resolve('fallback');
-          reject(new Error('extra'));
         });
       `,
-      errors: [{
-        messageId: 'multipleCallbacks',
-      }],
+    },
+    // Valid: Resolvers reached through a rest parameter
+    {
+      code: `
+        new Promise((...args) => {
+          if (ready) {
+            args[0]('ready');
+          } else {
+            args[1](new Error('not ready'));
+          }
+        });
+      `,
+    },
+    // Valid: Defaulted and destructured rest parameters
+    {
+      code: `
+        new Promise((resolve = noop, ...[reject]) => {
+          if (ready) {
+            resolve('ready');
+          } else {
+            reject(new Error('not ready'));
+          }
+        });
+      `,
+    },
+    // Valid: Resolvers passed to a same-file helper that settles once per path
+    {
+      code: `
+        function handle(req, onSuccess, onError) {
+          if (req.valid) {
+            onSuccess(req.body);
+          } else {
+            onError(new Error('invalid request'));
+          }
+        }
+        new Promise((resolve, reject) => handle(req, resolve, reject));
+      `,
+    },
+    // Valid: Helpers deeper than helperDepth are trusted to settle once
+    {
+      code: `
+        const handle = (done) => {
+          if (ready) done();
+        };
+        new Promise((resolve, reject) => {
+          handle(resolve);
+        });
+      `,
+      options: [{ helperDepth: 0 }],
+    },
+    // Valid: Imported helper settles once on every path
+    {
+      code: `
+        const { handle } = require('./handlers');
+        new Promise((resolve, reject) => handle(req, resolve, reject));
+      `,
+      filename: crossModuleFile,
+      options: [{ crossModule: true }],
+    },
+    // Valid: Imported ES module function hands the resolver to a timer
+    {
+      code: `
+        import { later } from './timers.mjs';
+        new Promise((resolve, reject) => {
+          later(resolve, 'done');
+        });
+      `,
+      filename: crossModuleFile,
+      parserOptions: { sourceType: 'module' },
+      options: [{ crossModule: true }],
+    },
+    // Valid: A same-file helper that always throws ends the path
+    {
+      code: `
+        function fatal(message) {
+          logger.error(message);
+          throw new Error(message);
+        }
+        new Promise((resolve, reject) => {
+          if (!config) {
+            fatal('missing config');
+          }
+          resolve(config);
+        });
+      `,
+    },
+    // Valid: Configured never-returning functions end the path
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (!config) {
+            log.fatal('missing config');
+          } else {
+            resolve(config);
+          }
+        });
+      `,
+      options: [{ terminatingCalls: ['process.exit', 'log.fatal'] }],
+    },
+    // Valid: Indirect calls and a bound alias, one per path
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const fail = reject.bind(null, new Error('timeout'));
+          if (cached) {
+            resolve.call(null, cached);
+          } else if (expired) {
+            fail();
+          } else {
+            Reflect.apply(resolve, null, [fetchValue()]);
+          }
+        });
+      `,
+    },
+    // Valid: stream wrapper settles once, from 'end' or 'error'
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => resolve(Buffer.concat(chunks)));
+          stream.on('error', reject);
+        });
+      `,
+    },
+    // Valid: chained registrations listen on the same emitter
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          server.listen(port).once('listening', resolve).once('error', reject);
+        });
+      `,
+    },
+    // Valid: DOM listeners for load and error
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const image = new Image();
+          image.addEventListener('load', () => resolve(image));
+          image.addEventListener('error', reject);
+          image.src = url;
+        });
+      `,
+    },
+    // Valid: events configured as firing once
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          worker.on('message', resolve);
+          worker.on('error', reject);
+        });
+      `,
+      options: [{ repeatingEvents: ['progress'] }],
+    },
+    // Valid: API described in shared settings calls back once
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          queue.push(job, resolve);
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { 'queue.push': { 1: 'once' } } } },
+    },
+    // Valid: error-first callback position given as last
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          db.query(sql, params, resolve);
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { 'db.query': { last: 'error-first' } } } },
+    },
+    // Valid: return after resolve in if, fallback resolve after it. The
+    // baseline listed this as an invalid multipleCallbacks case (disabled
+    // there), but the `return` ends the path that resolved, so each path
+    // settles exactly once
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            resolve('success');
+            return;
+          }
+          resolve('fallback');
+        });
+      `,
+    },
+    // Valid: handlers declared by name count at the call they are passed to
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          function onData(data) {
+            resolve(data);
+          }
+          function onError(error) {
+            reject(error);
+          }
+          source.subscribe(onData, onError);
+        });
+      `,
+    },
+    // Valid: const-bound listeners race like inline ones
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const onData = data => resolve(data);
+          const onError = error => reject(error);
+          stream.once('end', onData);
+          stream.once('error', onError);
+        });
+      `,
+    },
+    // Valid: a helper handed the resolvers from two callbacks settles at each
+    {
+      code: `
+        function step(gen, resolve, reject, key, arg) {
+          let info;
+          try {
+            info = gen[key](arg);
+          } catch (error) {
+            reject(error);
+            return;
+          }
+          resolve(info.value);
+        }
+        new Promise((resolve, reject) => {
+          function next(value) {
+            step(gen, resolve, reject, 'next', value);
+          }
+          function fail(error) {
+            step(gen, resolve, reject, 'throw', error);
+          }
+          source.then(next, fail);
+        });
+      `,
+    },
+    // Valid: Imported helper forwards to a module next to it that settles once
+    {
+      code: `
+        const { forward } = require('./once/forward');
+        new Promise((resolve, reject) => forward(resolve, reject));
+      `,
+      filename: crossModuleFile,
+      options: [{ crossModule: true }],
+    },
+    // Valid: a callback settling on every path, passed to an unknown API
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          db.query(sql, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          });
+        });
+      `,
+    },
+    // Valid: handlers stored on the same object race like listeners
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const x = new XMLHttpRequest();
+          x.onload = () => resolve(x.response);
+          x.onerror = () => reject(new Error('load'));
+          x.open('GET', url);
+          x.send();
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const img = new Image();
+          img.onload = () => resolve(img);
+          img.onerror = () => reject(new Error('load'));
+          img.src = url;
+        });
+      `,
+    },
+    // Valid: a chain of helpers longer than helperDepth
+    {
+      code: `
+        function d1(ok, fail) { d2(ok, fail); }
+        function d2(ok, fail) { d3(ok, fail); }
+        function d3(ok, fail) { ok(); }
+        new Promise((resolve, reject) => d1(resolve, reject));
+      `,
+    },
+    // Valid: a callback run again and again settles on a later run
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const timer = setInterval(() => {
+            if (ready()) {
+              clearInterval(timer);
+              resolve();
+            }
+          }, 100);
+        });
+      `,
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const xhr = new XMLHttpRequest();
+          xhr.onreadystatechange = () => {
+            if (xhr.readyState === 4) resolve(xhr.responseText);
+          };
+          xhr.open('GET', url);
+          xhr.send();
+        });
+      `,
+    },
+  ],
+
+  invalid: [
+    // Invalid: No callbacks
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const data = fetchData();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: If without else, no fallback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            resolve('success');
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: Multiple callbacks in sequence
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve('success');
+          reject(new Error('error'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Multiple callbacks in same branch
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            resolve('success');
+            reject(new Error('also error'));
+          } else {
+            resolve('else success');
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Missing parameters
+    {
+      code: `
+        new Promise((resolve) => {
+          resolve('missing reject param');
+        });
+      `,
+      output: `
+        new Promise((resolve, reject) => {
+          resolve('missing reject param');
+        });
+      `,
+      errors: [{
+        messageId: 'missingParameters',
+      }],
+    },
+    // Invalid: If has callback but no else and no return
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            resolve('success');
+          }
+          reject(new Error('fallback'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Return in if only, callback after
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (shouldReturn) {
+            return;
+          }
+          resolve('success');
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: Return in else only, callback after
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            resolve('success');
+          } else {
+            return;
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: resolve then return on new line, then another callback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve('success');
+          return;
+          reject(new Error('unreachable but still invalid'));
+        });
+      `,
+      errors: [{
+        messageId: 'unreachableCallback',
+        type: 'ReturnStatement',
+      }],
+    },
+    // Invalid: Try-catch-finally with callback in finally
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            resolve(riskyOperation());
+          } catch (error) {
+            reject(error);
+          } finally {
+            resolve('finally callback'); // Invalid
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Return in if only, multiple callbacks after. The baseline
+    // expected only multipleCallbacks (disabled there); the path taking the
+    // early return settles nothing, so it is also reported as noCallback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (shouldReturn) {
+            return;
+          }
+          resolve('success');
+          reject(new Error('error'));
+        });
+      `,
+      errors: [
+        { messageId: 'multipleCallbacks', type: 'ArrowFunctionExpression' },
+        { messageId: 'noCallback', type: 'ReturnStatement' },
+      ],
+    },
+    // Invalid: Return in else only, callback in if and after. The baseline
+    // expected only multipleCallbacks (disabled there); the path taking the
+    // early return settles nothing, so it is also reported as noCallback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            resolve('success');
+          } else {
+            return;
+          }
+          reject(new Error('fallback'));
+        });
+      `,
+      errors: [
+        { messageId: 'multipleCallbacks', type: 'ArrowFunctionExpression' },
+        { messageId: 'noCallback', type: 'ReturnStatement' },
+      ],
+    },
+    // Invalid: Callback after try-catch when both have callbacks
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            resolve(riskyOperation());
+          } catch (error) {
+            reject(error);
+          }
+          resolve('extra callback');
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Multiple callbacks in nested conditions
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition1) {
+            if (condition2) {
+              resolve('nested success');
+              resolve('duplicate in nested');
+            } else {
+              reject(new Error('nested error'));
+            }
+          } else {
+            resolve('main success');
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Switch statement with fallthrough causing multiple callbacks
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          switch (status) {
+            case 'success':
+              resolve('ok');
+            case 'partial': // No break, falls through
+              resolve('partial ok');
+              break;
+            default:
+              reject(new Error('fail'));
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Callback in loop (potential multiple executions)
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (let i = 0; i < items.length; i++) {
+            if (items[i].isValid()) {
+              resolve(items[i]);
+            }
+          }
+          reject(new Error('no valid items'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }, {
+        messageId: 'settleInLoop',
+        type: 'CallExpression',
+      }],
+    },
+    // Invalid: Both sync and async callbacks
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve('immediate');
+          setTimeout(() => {
+            resolve('delayed');
+          }, 100);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: No callback in complete if-else structure
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            console.log('condition true');
+          } else {
+            console.log('condition false');
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: Callback only in some branches of switch
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          switch (status) {
+            case 'success':
+              resolve('ok');
+              break;
+            case 'error':
+              // No callback here
+              break;
+            default:
+              reject(new Error('default'));
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: Return resolve with additional callback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (condition) {
+            return resolve('success');
+          }
+          resolve('fallback');
+          reject(new Error('extra'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: break after reject still reaches the resolve after the loop
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            if (item.bad) {
+              reject(new Error('bad item'));
+              break;
+            }
+          }
+          resolve(items);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: labeled break skips the only settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          check: {
+            if (!input) break check;
+            resolve(input);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: while loop may never run its settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          while (queue.length) {
+            resolve(queue.shift());
+            return;
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: alias called after the original
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const done = resolve;
+          done('first');
+          reject(new Error('second'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: an inner function declaration shadows resolve
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          function resolve(value) {
+            console.log(value);
+          }
+          resolve('not the executor resolve');
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: resolve reassigned before it is called
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve = console.log;
+          resolve('not the executor resolve');
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: alias reassigned to something else
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          let done = resolve;
+          if (quiet) {
+            done = noop;
+          }
+          done('maybe');
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: a listener without an error listener leaves failures pending
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          emitter.on('done', resolve);
+        });
+      `,
+      errors: [{
+        messageId: 'missingErrorListener',
+        data: { emitter: 'emitter', name: 'reject' },
+        type: 'CallExpression',
+      }],
+    },
+    // Invalid: handoff after a direct settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (cached) {
+            resolve(cached);
+          }
+          setTimeout(resolve, 100);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: timers not guaranteed once the defaults are replaced
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          setTimeout(resolve, 100);
+        });
+      `,
+      options: [{ guaranteedHandoffs: ['then'] }],
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: callback returns early without settling
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (error, data) => {
+            if (error) return;
+            resolve(data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'unsettledCallback',
+        type: 'ReturnStatement',
+      }],
+    },
+    // Invalid: callback settles twice
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          setTimeout(() => {
+            resolve('first');
+            resolve('second');
+          }, 100);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+        type: 'ArrowFunctionExpression',
+      }],
+    },
+    // Invalid: local helper called twice
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const finish = value => resolve(value);
+          finish(1);
+          finish(2);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: local helper never called
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          function finish(value) {
+            resolve(value);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: `&&` may skip the settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          isReady && resolve();
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: `??` only settles when the value is nullish
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          value ?? reject(new Error('missing'));
+        });
+      `,
+      parserOptions: { ecmaVersion: 2020 },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: `resolve()` returns undefined, so `||` runs reject too
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          (isValid && resolve()) || reject(new Error('invalid'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: ternary followed by another settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          isValid ? resolve(value) : reject(new Error('invalid'));
+          resolve(value);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: optional call may be skipped
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve?.(value);
+        });
+      `,
+      parserOptions: { ecmaVersion: 2020 },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: optional call followed by another settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve?.(value);
+          reject(new Error('fallback'));
+        });
+      `,
+      parserOptions: { ecmaVersion: 2020 },
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: optional chain may skip the handoff
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          source?.then(resolve, reject);
+        });
+      `,
+      parserOptions: { ecmaVersion: 2020 },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: settle in a for...of body
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            resolve(item);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }, {
+        messageId: 'settleInLoop',
+        line: 4,
+      }],
+    },
+    // Invalid: settle in a for...in body, break only on some paths
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (const key in cache) {
+            resolve(cache[key]);
+            if (key === wanted) break;
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }, {
+        messageId: 'settleInLoop',
+        line: 4,
+      }],
+    },
+    // Invalid: settle in a do...while body
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          do {
+            resolve(read());
+          } while (hasMore());
+        });
+      `,
+      errors: [{
+        messageId: 'settleInLoop',
+        line: 4,
+      }],
+    },
+    // Invalid: handoff in a while body
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          while (pending()) {
+            setTimeout(() => resolve(), 10);
+          }
+          reject(new Error('nothing pending'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }, {
+        messageId: 'settleInLoop',
+        line: 4,
+      }],
+    },
+    // Invalid: settle in a forEach callback, return does not stop forEach
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          items.forEach(item => {
+            if (item.ok) {
+              return resolve(item);
+            }
+          });
+          reject(new Error('not found'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }, {
+        messageId: 'settleInLoop',
+        line: 5,
+      }],
+    },
+    // Invalid: resolver handed to map
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (!items.length) {
+            return reject(new Error('empty'));
+          }
+          items.map(resolve);
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }, {
+        messageId: 'settleInLoop',
+        line: 6,
+      }],
+    },
+    // Invalid: parentheses added around a lone arrow parameter
+    {
+      code: `
+        new Promise(resolve => {
+          resolve('done');
+        });
+      `,
+      output: `
+        new Promise((resolve, reject) => {
+          resolve('done');
+        });
+      `,
+      errors: [{
+        messageId: 'missingParameters',
+      }],
+    },
+    // Invalid: no fix when `reject` already names something in the executor
+    {
+      code: `
+        new Promise(function (done) {
+          const reject = createRejecter();
+          done(reject);
+        });
+      `,
+      output: null,
+      errors: [{
+        messageId: 'missingParameters',
+      }],
+    },
+    // Invalid: suggest returning at the settle followed by another one
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (error) {
+            reject(error);
+          }
+          resolve(value);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+        suggestions: [{
+          messageId: 'addReturn',
+          data: { name: 'reject', line: 4 },
+          output: `
+        new Promise((resolve, reject) => {
+          if (error) {
+            return reject(error);
+          }
+          resolve(value);
+        });
+      `,
+        }],
+      }],
+    },
+    // Invalid: a return would still run the finally block settling again
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            resolve(compute());
+          } finally {
+            reject(new Error('cleanup'));
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+        suggestions: [],
+      }],
+    },
+    // Invalid: suggest returning at a settle inside a loop
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            resolve(item);
+          }
+          reject(new Error('empty'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+        suggestions: [{
+          messageId: 'addReturn',
+          output: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            return resolve(item);
+          }
+          reject(new Error('empty'));
+        });
+      `,
+        }],
+      }, {
+        messageId: 'settleInLoop',
+        suggestions: [{
+          messageId: 'addReturn',
+          output: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            return resolve(item);
+          }
+          reject(new Error('empty'));
+        });
+      `,
+        }],
+      }],
+    },
+    // Invalid: suggest an else branch for the last if
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const value = read();
+          if (value) {
+            resolve(value);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        suggestions: [{
+          messageId: 'addElse',
+          data: { name: 'reject' },
+          output: `
+        new Promise((resolve, reject) => {
+          const value = read();
+          if (value) {
+            resolve(value);
+          } else {
+            reject(new Error('Unhandled case'));
+          }
+        });
+      `,
+        }],
+      }],
+    },
+    // Invalid: suggest an else branch at the end of an else-if chain
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (cached) {
+            resolve(cached);
+          } else if (fresh) {
+            resolve(fresh);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        suggestions: [{
+          messageId: 'addElse',
+          output: `
+        new Promise((resolve, reject) => {
+          if (cached) {
+            resolve(cached);
+          } else if (fresh) {
+            resolve(fresh);
+          } else {
+            reject(new Error('Unhandled case'));
+          }
+        });
+      `,
+        }],
+      }],
+    },
+    // Invalid: file outside the ignored directory
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(1);
+          resolve(2);
+        });
+      `,
+      filename: 'test/unit/double-settle.js',
+      options: [{ checkParameters: false, ignoreFiles: ['test/fixtures/**'] }],
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: subclass executors are checked too
+    {
+      code: `
+        class Deferred extends Promise {}
+        new Deferred((resolve, reject) => {
+          resolve(1);
+          reject(new Error('late'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: const arrow executor shared by two Promises is reported once
+    {
+      code: `
+        const executor = (resolve, reject) => {
+          resolve(1);
+          resolve(2);
+        };
+        new Promise(executor);
+        new Promise(executor);
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+        line: 2,
+      }],
+    },
+    // Invalid: bound method executor
+    {
+      code: `
+        class Loader {
+          load() {
+            return new Promise(this.run.bind(this));
+          }
+          run(resolve, reject) {
+            if (this.cache) {
+              resolve(this.cache);
+            }
+          }
+        }
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        line: 6,
+      }],
+    },
+    // Invalid: unverifiable executors when asked for
+    {
+      code: `
+        new Promise(makeExecutor(options));
+        new Promise(handler.bind(null, request));
+      `,
+      options: [{ reportUnverifiable: true }],
+      errors: [{
+        messageId: 'unverifiableExecutor',
+        line: 2,
+      }, {
+        messageId: 'unverifiableExecutor',
+        line: 3,
+      }],
+    },
+    // Invalid: settle after throw
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (!input) {
+            throw new Error('no input');
+            reject(new Error('no input'));
+          }
+          resolve(input);
+        });
+      `,
+      errors: [{
+        messageId: 'unreachableCallback',
+        type: 'ThrowStatement',
+        data: { name: 'reject', line: 5, terminator: '`throw` statement' },
+      }],
+    },
+    // Invalid: settle after break
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            if (item.ok) {
+              break;
+              resolve(item);
+            }
+          }
+          reject(new Error('not found'));
+        });
+      `,
+      errors: [{
+        messageId: 'unreachableCallback',
+        type: 'BreakStatement',
+      }],
+    },
+    // Invalid: settle after continue
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          for (const item of items) {
+            continue;
+            reject(new Error(item));
+          }
+          resolve();
+        });
+      `,
+      errors: [{
+        messageId: 'unreachableCallback',
+        type: 'ContinueStatement',
+      }],
+    },
+    // Invalid: settle after process.exit()
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (fatal) {
+            process.exit(1);
+            reject(new Error('fatal'));
+          } else {
+            resolve();
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'unreachableCallback',
+        type: 'CallExpression',
+        line: 4,
+        data: { name: 'reject', line: 5, terminator: '`process.exit()` call' },
+      }],
+    },
+    // Invalid: settle after return in a deferred callback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          setTimeout(() => {
+            return;
+            resolve();
+          }, 100);
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }, {
+        messageId: 'unreachableCallback',
+        type: 'ReturnStatement',
+      }],
+    },
+    // Invalid: A call after the settle may throw into the catch clause
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            resolve(compute());
+            other();
+          } catch (error) {
+            reject(error);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: A throw after the settle enters the catch clause
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            resolve(load());
+            if (!ready) throw new Error('not ready');
+          } catch (error) {
+            reject(error);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: A throw inside a nested try/finally reaches the outer catch
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            try {
+              resolve(load());
+              notify();
+            } finally {
+              release();
+            }
+          } catch (error) {
+            reject(error);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: The finally block settles again after the catch clause did
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            load();
+          } catch (error) {
+            reject(error);
+          } finally {
+            resolve();
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: An await after the settle may reject into the catch clause
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          try {
+            resolve(cached);
+            await refresh();
+          } catch (error) {
+            reject(error);
+          }
+        });
+      `,
+      parserOptions: { ecmaVersion: 2017 },
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: An array pattern destructures the resolve function itself
+    {
+      code: `
+        new Promise(([resolve, reject]) => {
+          resolve('success');
+        });
+      `,
+      errors: [{
+        messageId: 'missingParameters',
+      }],
+    },
+    // Invalid: Both elements of a rest parameter called
+    {
+      code: `
+        new Promise((...args) => {
+          args[0]('success');
+          args[1](new Error('failure'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Aliases destructured from a rest parameter
+    {
+      code: `
+        new Promise((resolve, ...rest) => {
+          const [fail] = rest;
+          resolve('success');
+          fail(new Error('failure'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Helper leaves a path unsettled
+    {
+      code: `
+        function handle(req, onSuccess, onError) {
+          if (req.valid) {
+            onSuccess(req.body);
+          }
+        }
+        new Promise((resolve, reject) => handle(req, resolve, reject));
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        type: 'FunctionDeclaration',
+        line: 2,
+      }],
+    },
+    // Invalid: Helper settles twice, through a helper of its own
+    {
+      code: `
+        function send(callback, value) {
+          callback(value);
+        }
+        function handle(onSuccess, onError) {
+          send(onSuccess, 'first');
+          send(onError, new Error('second'));
+        }
+        new Promise((resolve, reject) => {
+          handle(resolve, reject);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+        line: 5,
+      }],
+    },
+    // Invalid: Executor settles again after the helper
+    {
+      code: `
+        function handle(onSuccess, onError) {
+          onSuccess('done');
+        }
+        new Promise((resolve, reject) => {
+          handle(resolve, reject);
+          resolve('again');
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+        line: 5,
+      }],
+    },
+    // Invalid: Imported helper may never settle
+    {
+      code: `
+        const handlers = require('./handlers');
+        new Promise((resolve, reject) => {
+          handlers.handleValid(req, resolve);
+        });
+      `,
+      filename: crossModuleFile,
+      options: [{ crossModule: true }],
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: Imported helper always settles twice
+    {
+      code: `
+        const { notifyTwice } = require('./handlers');
+        new Promise((resolve, reject) => {
+          notifyTwice(resolve);
+        });
+      `,
+      filename: crossModuleFile,
+      options: [{ crossModule: true }],
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Settle after a helper that always throws
+    {
+      code: `
+        const fail = (message) => {
+          throw new Error(message);
+        };
+        new Promise((resolve, reject) => {
+          fail('not implemented');
+          resolve('never');
+        });
+      `,
+      errors: [{
+        messageId: 'unreachableCallback',
+        data: { name: 'resolve', line: 7, terminator: '`fail()` call' },
+        type: 'CallExpression',
+        line: 6,
+      }],
+    },
+    // Invalid: A helper that only sometimes throws does not end the path
+    {
+      code: `
+        function check(value) {
+          if (!value) throw new Error('missing');
+        }
+        new Promise((resolve, reject) => {
+          if (!config) {
+            check(config);
+          } else {
+            resolve(config);
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: call/apply forms settle like direct calls
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve.call(null, 'success');
+          reject.apply(null, [new Error('failure')]);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: Comma and array-index calls settle too
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          (0, resolve)('success');
+          [reject][0](new Error('failure'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: A stored bind result is an alias of the resolver
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const done = resolve.bind(null, 'success');
+          done();
+          reject(new Error('failure'));
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: 'data' fires once per chunk
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          stream.on('data', resolve);
+          stream.on('error', reject);
+        });
+      `,
+      errors: [{
+        messageId: 'repeatingEvent',
+        data: { event: 'data', method: 'on' },
+        line: 3,
+      }],
+    },
+    // Invalid: addEventListener without { once: true }
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          socket.addEventListener('message', event => resolve(event.data));
+          socket.addEventListener('error', reject, { once: true });
+        });
+      `,
+      errors: [{
+        messageId: 'repeatingEvent',
+        data: { event: 'message', method: 'addEventListener' },
+      }],
+    },
+    // Invalid: listeners on another emitter do not cover this one
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          request.on('error', reject);
+          response.on('end', () => resolve(body));
+        });
+      `,
+      errors: [{
+        messageId: 'missingErrorListener',
+        data: { emitter: 'response', name: 'reject' },
+        line: 4,
+      }],
+    },
+    // Invalid: an error listener alone may never settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          stream.once('error', reject);
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: setInterval calls back many times
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          setInterval(resolve, 100);
+        });
+      `,
+      errors: [
+        { messageId: 'noCallback' },
+        { messageId: 'repeatingHandoff', data: { name: 'setInterval' }, line: 3 },
+      ],
+    },
+    // Invalid: a callback the API may never call
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          cache.get(key, value => resolve(value));
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { 'cache.get': { 1: 'maybe' } } } },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: settings override the built-in table
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          setTimeout(resolve, 100);
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { setTimeout: { 0: 'maybe' } } } },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: the resolver is not at the callback position
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          db.query(sql, resolve, options);
+        });
+      `,
+      settings: { 'promise-rules': { callbackApis: { 'db.query': { last: 'error-first' } } } },
+      errors: [{
+        messageId: 'noCallback',
+      }],
+    },
+    // Invalid: fs.watch calls back on every change, which is not a loop
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.watch(path, resolve);
+        });
+      `,
+      errors: [
+        { messageId: 'noCallback' },
+        { messageId: 'repeatingHandoff', data: { name: 'fs.watch' }, type: 'CallExpression', line: 3 },
+      ],
+    },
+    // Invalid: a throw in an async executor rejects a promise nobody awaits
+    {
+      code: `
+        new Promise(async (resolve, reject) => {
+          if (!input) {
+            throw new Error('no input');
+          }
+          resolve(input);
+        });
+      `,
+      errors: [{
+        messageId: 'noCallback',
+        type: 'ArrowFunctionExpression',
+      }],
+    },
+    // Invalid: A module identical to another resolves its imports from its own
+    // directory
+    {
+      code: `
+        const { forward } = require('./twice/forward');
+        new Promise((resolve, reject) => forward(resolve, reject));
+      `,
+      filename: crossModuleFile,
+      options: [{ crossModule: true }],
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: an unknown API may never call a callback that settles on
+    // some paths only
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          doSomething(value => {
+            if (value) resolve(value);
+          });
+        });
+      `,
+      errors: [
+        { messageId: 'noCallback', line: 2 },
+        { messageId: 'unsettledCallback', line: 3 },
+      ],
+    },
+    // Invalid: handlers stored on different objects settle once each
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          primary.onload = () => resolve(primary.response);
+          fallback.onload = () => resolve(fallback.response);
+        });
+      `,
+      errors: [{
+        messageId: 'multipleCallbacks',
+      }],
+    },
+    // Invalid: a settle after listeners, with no return suggested at the
+    // registration
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          stream.on('end', resolve);
+          stream.on('error', reject);
+          resolve();
+        });
+      `,
+      errors: [{ messageId: 'multipleCallbacks', suggestions: [] }],
+    },
+    // Invalid: a callback run again and again that never settles
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          setInterval(() => {
+            poll();
+          }, 100);
+        });
+      `,
+      errors: [{ messageId: 'noCallback', line: 2, suggestions: [] }],
+    },
+    // Invalid: imported helpers handing the resolver to a repeating API
+    {
+      code: `
+        import { poll } from './timers.mjs';
+        new Promise((resolve, reject) => {
+          poll(resolve);
+        });
+      `,
+      filename: crossModuleFile,
+      parserOptions: { sourceType: 'module' },
+      options: [{ crossModule: true }],
+      errors: [
+        { messageId: 'noCallback' },
+        { messageId: 'repeatingHandoff', data: { name: 'poll' }, line: 4 },
+      ],
+    },
+    {
+      code: `
+        const { each } = require('./handlers');
+        new Promise((resolve, reject) => {
+          each(items, resolve);
+        });
+      `,
+      filename: crossModuleFile,
+      options: [{ crossModule: true }],
+      errors: [
+        { messageId: 'noCallback' },
+        { messageId: 'repeatingHandoff', data: { name: 'each' }, line: 4 },
+      ],
     },
   ],
 };
 
 ruleTester.run('promise-constructor-exactly-one-callback', rule, {
   valid: [
-    // cases.valid[0],
-    // cases.valid[1],
-    // cases.valid[2],
-    // cases.valid[3],
-    // cases.valid[4],
-    // cases.valid[5],
-    // cases.valid[6],
-    // cases.valid[7],
-    // cases.valid[8],
-    // cases.valid[9],
-    // cases.valid[10],
-    // cases.valid[11],
-    // cases.valid[12],
+    cases.valid[0],
+    cases.valid[1],
+    cases.valid[2],
+    cases.valid[3],
+    cases.valid[4],
+    cases.valid[5],
+    cases.valid[6],
+    cases.valid[7],
+    cases.valid[8],
+    cases.valid[9],
+    cases.valid[10],
+    cases.valid[11],
+    cases.valid[12],
     cases.valid[13],
+    cases.valid[14],
+    cases.valid[15],
+    cases.valid[16],
+    cases.valid[17],
+    cases.valid[18],
+    cases.valid[19],
+    cases.valid[20],
+    cases.valid[21],
+    cases.valid[22],
+    cases.valid[23],
+    cases.valid[24],
+    cases.valid[25],
+    cases.valid[26],
+    cases.valid[27],
+    cases.valid[28],
+    cases.valid[29],
+    cases.valid[30],
+    cases.valid[31],
+    cases.valid[32],
+    cases.valid[33],
+    cases.valid[34],
+    cases.valid[35],
+    cases.valid[36],
+    cases.valid[37],
+    cases.valid[38],
+    cases.valid[39],
+    cases.valid[40],
+    cases.valid[41],
+    cases.valid[42],
+    cases.valid[43],
+    cases.valid[44],
+    cases.valid[45],
+    cases.valid[46],
+    cases.valid[47],
+    cases.valid[48],
+    cases.valid[49],
+    cases.valid[50],
+    cases.valid[51],
+    cases.valid[52],
+    cases.valid[53],
+    cases.valid[54],
+    cases.valid[55],
+    cases.valid[56],
+    cases.valid[57],
+    cases.valid[58],
+    cases.valid[59],
+    cases.valid[60],
+    cases.valid[61],
+    cases.valid[62],
+    cases.valid[63],
+    cases.valid[64],
+    cases.valid[65],
+    cases.valid[66],
+    cases.valid[67],
+    cases.valid[68],
+    cases.valid[69],
   ],
   invalid: [
-    // cases.invalid[0],
-    // cases.invalid[1],
-    // cases.invalid[2],
-    // cases.invalid[3],
-    // cases.invalid[4],
-    // cases.invalid[5],
+    cases.invalid[0],
+    cases.invalid[1],
+    cases.invalid[2],
+    cases.invalid[3],
+    cases.invalid[4],
+    cases.invalid[5],
+    cases.invalid[6],
+    cases.invalid[7],
+    cases.invalid[8],
+    cases.invalid[9],
+    cases.invalid[10],
+    cases.invalid[11],
+    cases.invalid[12],
+    cases.invalid[13],
+    cases.invalid[14],
+    cases.invalid[15],
+    cases.invalid[16],
+    cases.invalid[17],
+    cases.invalid[18],
+    cases.invalid[19],
+    cases.invalid[20],
+    cases.invalid[21],
+    cases.invalid[22],
+    cases.invalid[23],
+    cases.invalid[24],
+    cases.invalid[25],
+    cases.invalid[26],
+    cases.invalid[27],
+    cases.invalid[28],
+    cases.invalid[29],
+    cases.invalid[30],
+    cases.invalid[31],
+    cases.invalid[32],
+    cases.invalid[33],
+    cases.invalid[34],
+    cases.invalid[35],
+    cases.invalid[36],
+    cases.invalid[37],
+    cases.invalid[38],
+    cases.invalid[39],
+    cases.invalid[40],
+    cases.invalid[41],
+    cases.invalid[42],
+    cases.invalid[43],
+    cases.invalid[44],
+    cases.invalid[45],
+    cases.invalid[46],
+    cases.invalid[47],
+    cases.invalid[48],
+    cases.invalid[49],
+    cases.invalid[50],
+    cases.invalid[51],
+    cases.invalid[52],
+    cases.invalid[53],
+    cases.invalid[54],
+    cases.invalid[55],
+    cases.invalid[56],
+    cases.invalid[57],
+    cases.invalid[58],
+    cases.invalid[59],
+    cases.invalid[60],
+    cases.invalid[61],
+    cases.invalid[62],
+    cases.invalid[63],
+    cases.invalid[64],
+    cases.invalid[65],
+    cases.invalid[66],
+    cases.invalid[67],
+    cases.invalid[68],
+    cases.invalid[69],
+    cases.invalid[70],
+    cases.invalid[71],
+    cases.invalid[72],
+    cases.invalid[73],
+    cases.invalid[74],
+    cases.invalid[75],
+    cases.invalid[76],
+    cases.invalid[77],
+    cases.invalid[78],
+    cases.invalid[79],
+    cases.invalid[80],
+    cases.invalid[81],
+    cases.invalid[82],
+    cases.invalid[83],
+    cases.invalid[84],
+    cases.invalid[85],
+    cases.invalid[86],
+    cases.invalid[87],
+    cases.invalid[88],
+    cases.invalid[89],
+    cases.invalid[90],
+    cases.invalid[91],
+    cases.invalid[92],
+    cases.invalid[93],
+    cases.invalid[94],
+    cases.invalid[95],
+    cases.invalid[96],
+    cases.invalid[97],
+    cases.invalid[98],
   ],
   // valid: cases.valid,
   // invalid: cases.invalid,
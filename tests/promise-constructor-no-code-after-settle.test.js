@@ -0,0 +1,298 @@
+const { RuleTester } = require('eslint');
+const rule = require('../rules/promise-constructor-no-code-after-settle');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018 },
+});
+
+const cases = {
+  valid: [
+    // Settle last
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const data = compute();
+          resolve(data);
+        });
+      `,
+    },
+    // Returning at the settle ends the path
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (cached) {
+            return resolve(cached);
+          }
+          const data = load();
+          resolve(data);
+        });
+      `,
+    },
+    // Work after a handoff runs before the promise settles
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          source.then(resolve, reject);
+          track('started');
+        });
+      `,
+    },
+    // Cleanup calls are allowed by default
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const timer = setTimeout(() => reject(new Error('timeout')), 1000);
+          emitter.once('done', value => {
+            resolve(value);
+            clearTimeout(timer);
+            emitter.removeListener('error', reject);
+          });
+        });
+      `,
+    },
+    // finally blocks run whether or not the promise settled
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          try {
+            resolve(JSON.parse(text));
+          } catch (error) {
+            reject(error);
+          } finally {
+            release();
+          }
+        });
+      `,
+    },
+    // Statements without side effects
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          const done = () => cleanup();
+        });
+      `,
+    },
+    // Configured cleanup calls
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(connection);
+          connection.release();
+          logger.debug('connected');
+        });
+      `,
+      options: [{ allowedCalls: ['release', 'logger.debug'] }],
+    },
+    // Cleanup and pure tests in the expressions statements evaluate
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          if (timer !== null) {
+            return clearTimeout(timer);
+          }
+        });
+      `,
+    },
+  ],
+
+  invalid: [
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(result);
+          doMoreWork();
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        data: { name: 'resolve', line: 3 },
+        type: 'ExpressionStatement',
+        line: 4,
+        suggestions: [{
+          messageId: 'addReturn',
+          output: `
+        new Promise((resolve, reject) => {
+          return resolve(result);
+          doMoreWork();
+        });
+      `,
+        }],
+      }],
+    },
+    // A run of statements is reported once
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          reject(new Error('missing'));
+          counter++;
+          log('rejected');
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        data: { name: 'reject', line: 3 },
+        line: 4,
+      }],
+    },
+    // Reached after the settle on one path only
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (cached) resolve(cached);
+          const data = loadSync();
+          resolve(data);
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        type: 'VariableDeclaration',
+        line: 4,
+        suggestions: [{
+          messageId: 'addReturn',
+          output: `
+        new Promise((resolve, reject) => {
+          if (cached) return resolve(cached);
+          const data = loadSync();
+          resolve(data);
+        });
+      `,
+        }],
+      }],
+    },
+    // Inside a deferred callback
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (error, data) => {
+            if (error) return reject(error);
+            resolve(data);
+            cache.set(path, data);
+          });
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        data: { name: 'resolve', line: 5 },
+        line: 6,
+      }],
+    },
+    // Cleanup calls no longer allowed once the list is replaced
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve();
+          clearTimeout(timer);
+        });
+      `,
+      options: [{ allowedCalls: ['release'] }],
+      errors: [{
+        messageId: 'codeAfterSettle',
+      }],
+    },
+    // Expressions a statement evaluates after the settle
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          return doMore();
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        type: 'CallExpression',
+        line: 4,
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          if (cleanup()) {
+            log('cleaned up');
+          }
+        });
+      `,
+      errors: [
+        { messageId: 'codeAfterSettle', type: 'CallExpression', line: 4 },
+        { messageId: 'codeAfterSettle', type: 'ExpressionStatement', line: 5 },
+      ],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          switch (nextState()) {
+            case 'done':
+              break;
+          }
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        type: 'CallExpression',
+        line: 4,
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          while (poll()) {
+            count += 1;
+          }
+        });
+      `,
+      errors: [
+        { messageId: 'codeAfterSettle', type: 'CallExpression', line: 4 },
+        { messageId: 'codeAfterSettle', type: 'ExpressionStatement', line: 5 },
+      ],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          for (const item of loadItems()) {
+            seen.add(item);
+          }
+        });
+      `,
+      errors: [
+        { messageId: 'codeAfterSettle', type: 'CallExpression', line: 4 },
+        { messageId: 'codeAfterSettle', type: 'ExpressionStatement', line: 5 },
+      ],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          do {
+            resolve(value);
+          } while (poll());
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        type: 'CallExpression',
+        line: 5,
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve(value);
+          throw makeError();
+        });
+      `,
+      errors: [{
+        messageId: 'codeAfterSettle',
+        type: 'CallExpression',
+        line: 4,
+      }],
+    },
+  ],
+};
+
+ruleTester.run('promise-constructor-no-code-after-settle', rule, cases);
+
+console.log('All promise-constructor-no-code-after-settle tests passed!');
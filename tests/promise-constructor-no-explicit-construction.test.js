@@ -0,0 +1,282 @@
+const { RuleTester } = require('eslint');
+const rule = require('../rules/promise-constructor-no-explicit-construction');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018 },
+});
+
+const cases = {
+  valid: [
+    // The executor does its own work
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fs.readFile(path, (err, data) => err ? reject(err) : resolve(data));
+        });
+      `,
+    },
+    // The outcome is transformed before it settles the promise
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          fetchX().then(response => resolve(response.body), reject);
+        });
+      `,
+    },
+    // The resolvers are used elsewhere too
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          if (cached) return resolve(cached);
+          fetchX().then(resolve, reject);
+        });
+      `,
+    },
+    // Only the executor's own resolvers count
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          const log = value => console.log(value);
+          fetchX().then(log, reject);
+        });
+      `,
+    },
+    // The executor is passed by reference
+    {
+      code: `
+        function forward(resolve, reject) {
+          fetchX().then(resolve, reject);
+        }
+        new Promise(forward);
+      `,
+    },
+    // Not a Promise constructor
+    {
+      code: `
+        new Task((resolve, reject) => fetchX().then(resolve, reject));
+      `,
+    },
+  ],
+
+  invalid: [
+    {
+      code: `
+        const x = new Promise((resolve, reject) => fetchX().then(resolve).catch(reject));
+      `,
+      output: `
+        const x = fetchX();
+      `,
+      errors: [{
+        messageId: 'explicitConstruction',
+        data: { inner: 'fetchX()' },
+        type: 'NewExpression',
+      }],
+    },
+    {
+      code: `
+        const x = new Promise((resolve, reject) => {
+          fetchX().then(parse).then(resolve, reject);
+        });
+      `,
+      output: `
+        const x = fetchX().then(parse);
+      `,
+      errors: [{
+        messageId: 'explicitConstruction',
+        data: { inner: 'fetchX().then(parse)' },
+      }],
+    },
+    // Wrapped resolvers
+    {
+      code: `
+        return new Promise((resolve, reject) => {
+          return source.then(value => resolve(value), error => reject(error));
+        });
+      `,
+      output: `
+        return source;
+      `,
+      parserOptions: { ecmaFeatures: { globalReturn: true } },
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    // Rejections that leave the promise pending are only suggested away
+    {
+      code: `
+        const x = new Promise(resolve => fetchX().then(resolve));
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+        data: { inner: 'fetchX()' },
+        suggestions: [{
+          messageId: 'useInner',
+          data: { inner: 'fetchX()' },
+          output: `
+        const x = fetchX();
+      `,
+        }],
+      }],
+    },
+    // Awaiting inside an async executor
+    {
+      code: `
+        const x = new Promise(async resolve => resolve(await fetchX()));
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+        data: { inner: 'fetchX()' },
+        suggestions: [{
+          messageId: 'useInner',
+          output: `
+        const x = fetchX();
+      `,
+        }],
+      }],
+    },
+    // The inner expression keeps its precedence
+    {
+      code: `
+        const x = new Promise(async resolve => resolve(await (cached || fetchX())));
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+        suggestions: [{
+          messageId: 'useInner',
+          output: `
+        const x = (cached || fetchX());
+      `,
+        }],
+      }],
+    },
+    // Extra statements are reported without a fix
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          log('fetching');
+          fetchX().then(resolve, reject);
+        });
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    {
+      code: `
+        new Promise(resolve => {
+          log('fetching');
+          fetchX().then(resolve);
+        });
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+        suggestions: [],
+      }],
+    },
+    // A subclass constructs a `Task`, which the inner promise is not
+    {
+      code: `
+        class Task extends Promise {}
+        new Task((resolve, reject) => fetchX().then(resolve, reject));
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    {
+      code: `
+        const x = new globalThis.Promise((resolve, reject) => fetchX().then(resolve, reject));
+      `,
+      output: `
+        const x = fetchX();
+      `,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    // `this` and bindings of the executor mean something else outside it
+    {
+      code: `
+        new Promise(function (resolve, reject) { this.load().then(resolve, reject); });
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    {
+      code: `
+        new Promise(function (resolve, reject) { load(arguments[0]).then(resolve, reject); });
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    {
+      code: `
+        new Promise((resolve, reject) => fetchX({ onAbort: reject }).then(resolve, reject));
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    {
+      code: `
+        new Promise(resolve => {
+          fetchX().then(resolve);
+        });
+        new Promise(async function (resolve) { resolve(await load(function () { return this; })); });
+      `,
+      output: null,
+      errors: [
+        { messageId: 'explicitConstruction', suggestions: [{ messageId: 'useInner', output: `
+        fetchX();
+        new Promise(async function (resolve) { resolve(await load(function () { return this; })); });
+      ` }] },
+        { messageId: 'explicitConstruction', suggestions: [{ messageId: 'useInner', output: `
+        new Promise(resolve => {
+          fetchX().then(resolve);
+        });
+        load(function () { return this; });
+      ` }] },
+      ],
+    },
+    // An arrow executor shares the `this` around it
+    {
+      code: `
+        const x = new Promise((resolve, reject) => this.load().then(resolve, reject));
+      `,
+      output: `
+        const x = this.load();
+      `,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+    // Comments outside the inner promise would be lost
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          // retried by the client
+          fetchX().then(resolve, reject);
+        });
+      `,
+      output: null,
+      errors: [{
+        messageId: 'explicitConstruction',
+      }],
+    },
+  ],
+};
+
+ruleTester.run('promise-constructor-no-explicit-construction', rule, cases);
+
+console.log('All promise-constructor-no-explicit-construction tests passed!');
@@ -0,0 +1,238 @@
+const { RuleTester } = require('eslint');
+const rule = require('../rules/promise-constructor-parameters');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2018 },
+});
+
+const cases = {
+  valid: [
+    {
+      code: `
+        new Promise((resolve, reject) => {
+          resolve('success');
+        });
+      `,
+    },
+    // Resolve-only executor without a failure path
+    {
+      code: `
+        new Promise(resolve => {
+          setTimeout(resolve, 100);
+        });
+      `,
+      options: [{ allowResolveOnly: true }],
+    },
+    // Team naming convention
+    {
+      code: `
+        new Promise((res, rej) => {
+          res('success');
+        });
+      `,
+      options: [{ parameterNames: { resolve: ['res', 'resolve'], reject: ['rej', 'reject'] } }],
+    },
+    // Ignored by comment marker
+    {
+      code: `
+        // promise-legacy: resolve-only on purpose
+        const ready = new Promise(resolve => {
+          if (!window) throw new Error('no window');
+          window.onload = resolve;
+        });
+      `,
+      options: [{ ignoreComment: 'promise-legacy' }],
+    },
+    // Ignored by file name
+    {
+      code: `
+        new Promise(resolve => resolve());
+      `,
+      filename: 'server.legacy.js',
+      options: [{ ignoreFiles: ['*.legacy.js'] }],
+    },
+    // Ignored by directory
+    {
+      code: `
+        new Promise(resolve => resolve());
+      `,
+      filename: 'src/vendor/lib/timer.js',
+      options: [{ ignoreFiles: ['src/vendor/**'] }],
+    },
+    // Defaulted and rest parameters still receive both functions
+    {
+      code: `
+        new Promise((resolve = noop, reject = noop) => {
+          resolve('success');
+        });
+        new Promise((...args) => {
+          args[0]('success');
+        });
+      `,
+    },
+  ],
+
+  invalid: [
+    {
+      code: `
+        new Promise(() => {});
+      `,
+      errors: [{
+        messageId: 'missingResolve',
+      }],
+    },
+    {
+      code: `
+        new Promise(resolve => {
+          resolve('done');
+        });
+      `,
+      output: `
+        new Promise((resolve, reject) => {
+          resolve('done');
+        });
+      `,
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+    // Resolve-only executor that can throw
+    {
+      code: `
+        new Promise(resolve => {
+          if (!input) throw new Error('no input');
+          resolve(input);
+        });
+      `,
+      output: `
+        new Promise((resolve, reject) => {
+          if (!input) throw new Error('no input');
+          resolve(input);
+        });
+      `,
+      options: [{ allowResolveOnly: true }],
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+    // Resolve-only executor that catches an error it cannot pass on
+    {
+      code: `
+        new Promise(resolve => {
+          try {
+            resolve(JSON.parse(text));
+          } catch (error) {
+            log(error);
+          }
+        });
+      `,
+      output: `
+        new Promise((resolve, reject) => {
+          try {
+            resolve(JSON.parse(text));
+          } catch (error) {
+            log(error);
+          }
+        });
+      `,
+      options: [{ allowResolveOnly: true }],
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+    // Names outside the convention
+    {
+      code: `
+        new Promise((done, fail) => {
+          done('success');
+        });
+      `,
+      options: [{ parameterNames: { resolve: ['resolve'], reject: ['reject'] } }],
+      errors: [{
+        messageId: 'unexpectedParameterName',
+        data: { name: 'done', expected: '`resolve`' },
+      }, {
+        messageId: 'unexpectedParameterName',
+        data: { name: 'fail', expected: '`reject`' },
+      }],
+    },
+    // The fix adds the conventional reject name
+    {
+      code: `
+        new Promise(function (res) {
+          res('done');
+        });
+      `,
+      output: `
+        new Promise(function (res, rej) {
+          res('done');
+        });
+      `,
+      options: [{ parameterNames: { resolve: ['res'], reject: ['rej'] } }],
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+    // The marker only ignores the executor it is attached to
+    {
+      code: `
+        // promise-legacy
+        new Promise(resolve => resolve());
+        new Promise(resolve => resolve());
+      `,
+      output: `
+        // promise-legacy
+        new Promise(resolve => resolve());
+        new Promise((resolve, reject) => resolve());
+      `,
+      options: [{ ignoreComment: 'promise-legacy' }],
+      errors: [{
+        messageId: 'missingReject',
+        line: 4,
+      }],
+    },
+    // Missing reject in a referenced executor
+    {
+      code: `
+        const executor = resolve => {
+          resolve('done');
+        };
+        new Promise(executor);
+      `,
+      output: `
+        const executor = (resolve, reject) => {
+          resolve('done');
+        };
+        new Promise(executor);
+      `,
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+    // Unverifiable executor when asked for
+    {
+      code: `
+        new Promise(executors.get(name));
+      `,
+      options: [{ reportUnverifiable: true }],
+      errors: [{
+        messageId: 'unverifiableExecutor',
+      }],
+    },
+    // An object pattern cannot hold reject
+    {
+      code: `
+        new Promise((resolve, { signal }) => {
+          resolve(signal);
+        });
+      `,
+      errors: [{
+        messageId: 'missingReject',
+      }],
+    },
+  ],
+};
+
+ruleTester.run('promise-constructor-parameters', rule, cases);
+
+console.log('All promise-constructor-parameters tests passed!');